@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+// Sets the scene's background and environment lighting from equirectangular .hdr and .exr images
+//
+// Images are prefiltered with PMREMGenerator for the environment, so rough materials get blurred reflections,
+// the background shows the full resolution image. If an image can't be loaded a sky gradient is shown instead
+// Change backgroundBlurriness, intensity or rotation then call update() to apply them
+// Dispatches 'change' when a new environment is shown
+
+const LOADERS = {
+    hdr: RGBELoader,
+    exr: EXRLoader
+};
+
+// Colours of the fallback sky, from straight up to straight down
+const GRADIENT_STOPS = [
+    [0, '#4a7fc8'],
+    [0.5, '#dce9f5'],
+    [0.5, '#8a8f7a'],
+    [1, '#4f4a3c']
+];
+const GRADIENT_HEIGHT = 256;
+
+const _changeEvent = { type: 'change' };
+
+const getExtension = (url) => url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+// Equirectangular image of the sky gradient, it only changes from top to bottom so one pixel wide is enough
+const createSkyGradient = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = GRADIENT_HEIGHT;
+    const context = canvas.getContext('2d');
+    const gradient = context.createLinearGradient(0, 0, 0, GRADIENT_HEIGHT);
+    GRADIENT_STOPS.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 1, GRADIENT_HEIGHT);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+class EnvironmentManager extends THREE.EventDispatcher {
+
+    constructor(renderer, scene, manager = THREE.DefaultLoadingManager) {
+
+        super();
+
+        this.renderer = renderer;
+        this.scene = scene;
+
+        // Blur of the background, from 0 for sharp to 1
+        this.backgroundBlurriness = 0;
+
+        // Brightness of the light from the environment
+        this.intensity = 1;
+
+        // Turn of the background and environment around the vertical axis, in degrees
+        this.rotation = 0;
+
+        // url of the environment being shown, null for the sky gradient
+        this.url = null;
+
+        //
+        // public methods
+        //
+
+        // Loads an environment image and shows it once it is ready
+        // Returns a promise for true when it is shown, or false if it failed and the sky gradient is shown instead
+        // or another environment was chosen while it loaded
+        this.load = async (url) => {
+            const request = ++requestCount;
+            try {
+                const Loader = LOADERS[getExtension(url)];
+                if (!Loader) throw new Error(`Unsupported environment type .${getExtension(url)}, supported types are .hdr and .exr`);
+                const texture = await new Loader(manager).loadAsync(url);
+                if (request !== requestCount) {
+                    texture.dispose();
+                    return false;
+                }
+                show(texture, url);
+                return true;
+            } catch (error) {
+                if (request !== requestCount) return false;
+                console.error(`An error occurred while loading the environment ${url}:`, error);
+                show(createSkyGradient(), null);
+                return false;
+            }
+        };
+
+        this.showSkyGradient = () => {
+            requestCount++; // anything still loading is no longer wanted
+            show(createSkyGradient(), null);
+        };
+
+        this.update = () => {
+            const rotation = THREE.MathUtils.degToRad(this.rotation);
+            this.scene.backgroundBlurriness = this.backgroundBlurriness;
+            this.scene.environmentIntensity = this.intensity;
+            this.scene.backgroundRotation.set(0, rotation, 0);
+            this.scene.environmentRotation.set(0, rotation, 0);
+        };
+
+        this.dispose = () => {
+            if (renderTarget) renderTarget.dispose();
+            if (backgroundTexture) backgroundTexture.dispose();
+            pmremGenerator.dispose();
+        };
+
+        //
+        // internals
+        //
+
+        const pmremGenerator = new THREE.PMREMGenerator(renderer);
+        pmremGenerator.compileEquirectangularShader();
+
+        let renderTarget = null;
+        // the equirectangular image shown as the background, three prefilters it itself when it is blurred
+        let backgroundTexture = null;
+        // counts calls to load so an image that finishes loading after a newer one was chosen isn't shown
+        let requestCount = 0;
+
+        const show = (texture, url) => {
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            const newRenderTarget = pmremGenerator.fromEquirectangular(texture);
+            if (renderTarget) renderTarget.dispose();
+            if (backgroundTexture) backgroundTexture.dispose();
+            renderTarget = newRenderTarget;
+            backgroundTexture = texture;
+            this.scene.background = backgroundTexture;
+            this.scene.environment = renderTarget.texture;
+            this.url = url;
+            this.update();
+            this.dispatchEvent(_changeEvent);
+        }
+
+    }
+
+}
+
+export { EnvironmentManager };
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+// Sun and sky lights for the garden
+//
+// The sun is a directional light casting shadows, placed in the sky for the time of day and date in this.date
+// at this.latitude. North is towards -z and east towards +x. The time is taken as local solar time,
+// so noon is when the sun is highest
+// The hemisphere light fills in shadows with sky and ground colours, turn it off with hemisphere.visible
+// Call update() after changing the date or latitude, and setSize() when the size of the garden changes
+
+const SUN_COLOR = 0xfff4e0;
+const SUN_INTENSITY = 3;
+const SKY_COLOR = 0xbfd9ff;
+const GROUND_COLOR = 0x6b5a3a;
+const HEMISPHERE_INTENSITY = 1;
+const SHADOW_MAP_SIZE = 2048;
+
+// Sun altitude in radians below which the sun fades out towards the horizon
+const LOW_SUN_ALTITUDE = THREE.MathUtils.degToRad(10);
+// Tilt of the earth's axis, sets how high the sun gets over the year
+const AXIAL_TILT = THREE.MathUtils.degToRad(23.44);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Returns the day of the year, 0 for the 1st of January
+const getDayOfYear = (date) => {
+    const startOfYear = Date.UTC(date.getFullYear(), 0, 1);
+    const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    return Math.round((day - startOfYear) / MS_PER_DAY);
+}
+
+class Lighting extends THREE.Group {
+
+    constructor() {
+
+        super();
+
+        this.name = 'lighting';
+
+        // Time of day and date setting the sun position
+        this.date = new Date();
+
+        // Latitude of the garden in degrees, negative in the southern hemisphere
+        this.latitude = 51.5;
+
+        this.sun = new THREE.DirectionalLight(SUN_COLOR, SUN_INTENSITY);
+        this.sun.name = 'sun';
+        this.sun.castShadow = true;
+        this.sun.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+        this.sun.shadow.bias = - 0.0005;
+        this.sun.shadow.normalBias = 0.02;
+        this.add(this.sun, this.sun.target);
+
+        this.hemisphere = new THREE.HemisphereLight(SKY_COLOR, GROUND_COLOR, HEMISPHERE_INTENSITY);
+        this.hemisphere.name = 'sky-fill';
+        this.add(this.hemisphere);
+
+        // Direction from the ground towards the sun, below the horizon at night
+        this.sunDirection = new THREE.Vector3();
+
+        //
+        // public methods
+        //
+
+        // Moves the sun to its position for the current date, time and latitude
+        this.update = () => {
+            const latitude = THREE.MathUtils.degToRad(this.latitude);
+            const declination = - AXIAL_TILT * Math.cos(2 * Math.PI * (getDayOfYear(this.date) + 10) / 365);
+            const hours = this.date.getHours() + this.date.getMinutes() / 60;
+            const hourAngle = THREE.MathUtils.degToRad(15 * (hours - 12));
+
+            const altitude = Math.asin(Math.sin(latitude) * Math.sin(declination) + Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle));
+            // clockwise from north
+            const azimuth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)) + Math.PI;
+
+            this.sunDirection.set(
+                Math.sin(azimuth) * Math.cos(altitude),
+                Math.sin(altitude),
+                - Math.cos(azimuth) * Math.cos(altitude)
+            );
+            this.sun.position.copy(this.sunDirection).multiplyScalar(size);
+            this.sun.visible = altitude > 0;
+            this.sun.intensity = SUN_INTENSITY * THREE.MathUtils.clamp(altitude / LOW_SUN_ALTITUDE, 0, 1);
+        };
+
+        // Fits the shadows to a garden of the given width, centred on the origin
+        this.setSize = (width) => {
+            size = width;
+            // the garden can be turned any way in the sun's view, so cover its diagonal
+            const extent = width * Math.SQRT1_2;
+            const shadowCamera = this.sun.shadow.camera;
+            shadowCamera.left = - extent;
+            shadowCamera.right = extent;
+            shadowCamera.top = extent;
+            shadowCamera.bottom = - extent;
+            shadowCamera.near = 0.1;
+            shadowCamera.far = width * 2;
+            shadowCamera.updateProjectionMatrix();
+            this.update();
+        };
+
+        this.dispose = () => {
+            this.sun.dispose();
+            this.hemisphere.dispose();
+        };
+
+        //
+        // internals
+        //
+
+        // distance of the sun from the centre of the garden, far enough to be above every plant
+        let size = 1;
+
+        this.update();
+
+    }
+
+}
+
+export { Lighting };
@@ -9,6 +9,9 @@ import * as THREE from 'three';
 //    Pan - right mouse, or left mouse + shiftKey, or arrow keys / touch: two-finger move
 //
 // Prevented camera target from going below ground level
+// Damping also applies to dolly, not just rotation and pan
+// Orthographic cameras dolly by changing zoom, limited by minZoom and maxZoom
+// Optional collision with a list of collider objects keeps the camera out of meshes
 
 const _changeEvent = { type: 'change' };
 const _startEvent = { type: 'start' };
@@ -17,14 +20,18 @@ const _endEvent = { type: 'end' };
 const TWO_PI = 2 * Math.PI;
 const PI_OVER_TWO = Math.PI / 2;
 
-const KEYS = { LEFT: 'ArrowLeft', UP: 'ArrowUp', RIGHT: 'ArrowRight', BOTTOM: 'ArrowDown' };
-const MOUSE_BUTTONS = { LEFT: THREE.MOUSE.ROTATE, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
-const TOUCHES = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
-
 const EPS = 0.000001;
 
+// Limits that are saved alongside the view by getState()
+const LIMIT_KEYS = [
+    'minDistance', 'maxDistance', 'minZoom', 'maxZoom', 'minTargetRadius', 'maxTargetRadius', 'bounds', 'clampCameraToBounds',
+    'minPolarAngle', 'maxPolarAngle', 'minAzimuthAngle', 'maxAzimuthAngle'
+];
+
 const MIN_TARGET_HEIGHT = 0.1;
 
+const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(- 2 * t + 2, 3) / 2;
+
 const STATE = {
     NONE: - 1,
     ROTATE: 0,
@@ -46,6 +53,9 @@ class OrbitControls extends THREE.EventDispatcher {
         this.domElement = domElement;
         this.domElement.style.touchAction = 'none'; // disable touch scroll
 
+        // Set to false to disable this control
+        this.enabled = true;
+
         // "target" sets the location of focus, where the camera orbits around
         this.target = new THREE.Vector3();
 
@@ -56,10 +66,23 @@ class OrbitControls extends THREE.EventDispatcher {
         this.minDistance = 0;
         this.maxDistance = Infinity;
 
+        // How far you can zoom in and out (OrthographicCamera only)
+        this.minZoom = 0;
+        this.maxZoom = Infinity;
+
         // Limit camera target within a spherical area around the cursor
         this.minTargetRadius = 0;
         this.maxTargetRadius = Infinity;
 
+        // Optional THREE.Box3 the target is kept inside, set clampCameraToBounds to keep the camera inside it as well
+        this.bounds = null;
+        this.clampCameraToBounds = false;
+
+        // Objects the camera can't pass through, the orbit radius is shortened so they never come between the target and camera
+        this.colliders = [];
+        // How far the camera stays in front of a collider surface, should be larger than the camera's near plane
+        this.collisionOffset = 0.5;
+
         // How far you can orbit vertically, upper and lower limits.
         // Range is 0 to Math.PI radians.
         this.minPolarAngle = 0; // radians
@@ -70,11 +93,40 @@ class OrbitControls extends THREE.EventDispatcher {
         this.minAzimuthAngle = - Infinity; // radians
         this.maxAzimuthAngle = Infinity; // radians
 
+        // Set to true to enable damping (inertia), which spreads rotation, pan and dolly over several frames
+        // If damping is enabled, you must call controls.update() in your animation loop
+        this.enableDamping = false;
+        this.dampingFactor = 0.05;
+
+        // Set to false to disable zooming, rotating or panning individually
+        this.enableZoom = true;
         this.zoomSpeed = 1.0;
+
+        // Set to true to dolly towards the point under the pointer instead of towards the target
+        this.zoomToCursor = false;
+
+        this.enableRotate = true;
         this.rotateSpeed = 1.0;
+
+        this.enablePan = true;
         this.panSpeed = 1.0;
         this.keyPanSpeed = 7.0;	// pixels moved per arrow key push
 
+        // Set to true to automatically rotate around the target
+        // If auto-rotate is enabled, you must call controls.update() in your animation loop
+        this.autoRotate = false;
+        this.autoRotateSpeed = 2.0; // 30 seconds per orbit, whatever the frame rate
+        this.autoRotateDelay = 3000; // milliseconds without user input or disabled controls before auto-rotate resumes
+
+        // The four arrow keys
+        this.keys = { LEFT: 'ArrowLeft', UP: 'ArrowUp', RIGHT: 'ArrowRight', BOTTOM: 'ArrowDown' };
+
+        // Mouse buttons
+        this.mouseButtons = { LEFT: THREE.MOUSE.ROTATE, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
+
+        // Touch fingers
+        this.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+
         //
         // public methods
         //
@@ -85,6 +137,101 @@ class OrbitControls extends THREE.EventDispatcher {
 
         this.getDistance = () => this.camera.position.distanceTo(this.target);
 
+        // Applies any pending rotation, pan and dolly to the camera, returns true if the camera moved
+        this.update = () => update();
+
+        // Returns a copy of the current view (position, target, cursor, zoom) and limits
+        this.getState = () => {
+            const limits = {};
+            LIMIT_KEYS.forEach(key => limits[key] = this[key]);
+            limits.bounds = this.bounds && this.bounds.clone();
+            return {
+                position: this.camera.position.clone(),
+                target: this.target.clone(),
+                cursor: this.cursor.clone(),
+                zoom: this.camera.zoom,
+                limits: limits
+            };
+        };
+
+        // Applies a state from getState(), limits are set first so the new view isn't clamped by the old ones
+        this.setState = ({ position, target, cursor, zoom, limits = {} }) => {
+            endTransition(false);
+            LIMIT_KEYS.forEach(key => {
+                if (limits[key] !== undefined) this[key] = limits[key];
+            });
+            // bounds may come back from JSON as a plain object
+            if (limits.bounds) this.bounds = new THREE.Box3().copy(limits.bounds);
+            sphericalDelta.set(0, 0, 0);
+            panOffset.set(0, 0, 0);
+            scale = 1;
+            this.camera.position.copy(position);
+            this.target.copy(target);
+            if (cursor) this.cursor.copy(cursor);
+            if (zoom !== undefined) {
+                this.camera.zoom = zoom;
+                this.camera.updateProjectionMatrix();
+            }
+            update();
+        };
+
+        // Remembers the current state so reset() can return to it
+        this.saveState = () => savedState = this.getState();
+
+        this.reset = () => {
+            state = STATE.NONE;
+            this.setState(savedState);
+        };
+
+        // Animates the camera to a new position and target over duration milliseconds, and orthographic cameras to a new zoom
+        // Resolves to true when the transition finishes, or false if it was interrupted by user input
+        this.flyTo = ({ position = this.camera.position, target = this.target, zoom = this.camera.zoom, duration = 1000, easing = easeInOutCubic } = {}) => {
+            endTransition(false);
+            // drop any leftover damped motion so it doesn't fight the transition
+            sphericalDelta.set(0, 0, 0);
+            panOffset.set(0, 0, 0);
+            scale = 1;
+            return new Promise((resolve) => {
+                transition = {
+                    fromPosition: this.camera.position.clone(),
+                    toPosition: position.clone(),
+                    fromTarget: this.target.clone(),
+                    toTarget: target.clone(),
+                    fromZoom: this.camera.zoom,
+                    toZoom: zoom,
+                    startTime: performance.now(),
+                    duration,
+                    easing,
+                    resolve
+                };
+                this.dispatchEvent(_startEvent);
+            });
+        };
+
+        // Keyboard controls are opt-in, call this with the element that should receive key events (e.g. window)
+        this.listenToKeyEvents = (element) => {
+            this.stopListenToKeyEvents();
+            element.addEventListener('keydown', onKeyDown);
+            keyEventElement = element;
+        };
+
+        this.stopListenToKeyEvents = () => {
+            if (keyEventElement === null) return;
+            keyEventElement.removeEventListener('keydown', onKeyDown);
+            keyEventElement = null;
+        };
+
+        // Removes every event listener added by the controls
+        this.dispose = () => {
+            this.domElement.removeEventListener('contextmenu', onContextMenu);
+            this.domElement.removeEventListener('pointerdown', onPointerDown);
+            this.domElement.removeEventListener('pointercancel', onPointerUp);
+            this.domElement.removeEventListener('wheel', onMouseWheel);
+            this.domElement.removeEventListener('pointermove', onPointerMove);
+            this.domElement.removeEventListener('pointerup', onPointerUp);
+            this.stopListenToKeyEvents();
+        };
+
         //
         // internals
         //
@@ -115,17 +262,57 @@ class OrbitControls extends THREE.EventDispatcher {
 
         let controlActive = false;
 
+        // used to make auto-rotate independent of the frame rate and to pause it while the user interacts
+        let lastUpdateTime = null;
+        let lastInteractionTime = - Infinity;
+
+        // radius the camera would be at if no collider was in the way, null when it isn't pulled in
+        let collisionRadius = null;
+        // where the collision left the camera, if anything else moves the camera the collision radius is dropped
+        const collisionPosition = new THREE.Vector3();
+        const collisionRaycaster = new THREE.Raycaster();
+
+        // state restored by reset()
+        let savedState = null;
+
+        // camera transition started by flyTo()
+        let transition = null;
+
+        // direction the camera dollies along when zooming to the cursor
+        const dollyDirection = new THREE.Vector3();
+        const zoomPointer = new THREE.Vector2();
+        let performCursorZoom = false;
+
+        // element that keydown is attached to, set by listenToKeyEvents()
+        let keyEventElement = null;
+
+        // last camera state that a change event was dispatched for
+        const lastPosition = new THREE.Vector3();
+        const lastQuaternion = new THREE.Quaternion();
+        const lastTargetPosition = new THREE.Vector3();
+        let lastZoom = this.camera.zoom;
+
         const update = () => {
+            const transitionDone = transition !== null && stepTransition();
+
+            const now = performance.now();
+            // cap the time step so returning to a hidden tab doesn't jump the rotation
+            const deltaTime = lastUpdateTime === null ? 0 : Math.min((now - lastUpdateTime) / 1000, 0.1);
+            lastUpdateTime = now;
+            // disabled controls mean another tool is using the pointer, e.g. painting or dragging,
+            // so auto-rotate pauses and only resumes autoRotateDelay after they are enabled again
+            if (!this.enabled) markInteraction();
+            if (this.autoRotate && state === STATE.NONE && transition === null &&
+                now - lastInteractionTime >= this.autoRotateDelay) {
+                rotateLeft(getAutoRotationAngle(deltaTime));
+            }
+
             const offset = new THREE.Vector3();
 
             // so camera.up is the orbit axis
-            const quat = new THREE.Quaternion().setFromUnitVectors(camera.up, new THREE.Vector3(0, 1, 0));
+            const quat = new THREE.Quaternion().setFromUnitVectors(this.camera.up, new THREE.Vector3(0, 1, 0));
             const quatInverse = quat.clone().invert();
 
-            const lastPosition = new THREE.Vector3();
-            const lastQuaternion = new THREE.Quaternion();
-            const lastTargetPosition = new THREE.Vector3();
-
             const position = this.camera.position;
 
             offset.copy(position).sub(this.target);
@@ -136,8 +323,18 @@ class OrbitControls extends THREE.EventDispatcher {
             // angle from z-axis around y-axis
             spherical.setFromVector3(offset);
 
-            spherical.theta += sphericalDelta.theta;
-            spherical.phi += sphericalDelta.phi;
+            // orbit at the unobstructed radius, collision is checked again once the camera has moved
+            if (collisionRadius !== null && position.distanceToSquared(collisionPosition) < EPS) {
+                spherical.radius = collisionRadius;
+            }
+
+            if (this.enableDamping) {
+                spherical.theta += sphericalDelta.theta * this.dampingFactor;
+                spherical.phi += sphericalDelta.phi * this.dampingFactor;
+            } else {
+                spherical.theta += sphericalDelta.theta;
+                spherical.phi += sphericalDelta.phi;
+            }
 
             // restrict theta to be between desired limits
             let min = this.minAzimuthAngle;
@@ -161,17 +358,25 @@ class OrbitControls extends THREE.EventDispatcher {
             spherical.makeSafe();
 
             // move target to panned location
-            this.target.add(panOffset);
+            if (this.enableDamping) {
+                this.target.addScaledVector(panOffset, this.dampingFactor);
+            } else {
+                this.target.add(panOffset);
+            }
 
-            // Limit the target distance from the cursor to create a sphere around the center of interest
-            this.target.sub(this.cursor);
-            this.target.clampLength(this.minTargetRadius, this.maxTargetRadius);
-            this.target.add(this.cursor);
-            // prevent camera from going below ground
-            this.target.y = Math.max(this.target.y, MIN_TARGET_HEIGHT);
+            clampTarget();
 
+            // scale is multiplicative, so damping applies a fraction of it in log space
             const prevRadius = spherical.radius;
-            spherical.radius = clampDistance(spherical.radius * scale);
+            const frameScale = this.enableDamping ? Math.pow(scale, this.dampingFactor) : scale;
+            const cursorZoom = this.zoomToCursor && performCursorZoom;
+            const isOrthographic = this.camera.isOrthographicCamera;
+            if (cursorZoom || isOrthographic) {
+                // the radius is changed below by moving the camera along the pointer ray, orthographic cameras change zoom instead
+                spherical.radius = clampDistance(spherical.radius);
+            } else {
+                spherical.radius = clampDistance(spherical.radius * frameScale);
+            }
 
             offset.setFromSpherical(spherical);
 
@@ -182,25 +387,130 @@ class OrbitControls extends THREE.EventDispatcher {
 
             this.camera.lookAt(this.target);
 
-            sphericalDelta.set(0, 0, 0);
+            let zoomChanged = prevRadius != spherical.radius;
+
+            if (isOrthographic) {
+                // keep the world point under the pointer fixed while zooming to the cursor
+                const pointerBefore = new THREE.Vector3(zoomPointer.x, zoomPointer.y, 0).unproject(this.camera);
+                const prevZoom = this.camera.zoom;
+                this.camera.zoom = clampZoom(this.camera.zoom / frameScale);
+                this.camera.updateProjectionMatrix();
+                zoomChanged = zoomChanged || prevZoom !== this.camera.zoom;
+                if (cursorZoom) {
+                    const pointerAfter = new THREE.Vector3(zoomPointer.x, zoomPointer.y, 0).unproject(this.camera);
+                    position.sub(pointerAfter).add(pointerBefore);
+                    this.camera.updateMatrixWorld();
+                }
+            }
 
-            panOffset.set(0, 0, 0);
+            if (cursorZoom) {
+                let newRadius = spherical.radius;
+                if (!isOrthographic) {
+                    newRadius = clampDistance(spherical.radius * frameScale);
+                    const radiusDelta = spherical.radius - newRadius;
+                    position.addScaledVector(dollyDirection, radiusDelta);
+                    this.camera.updateMatrixWorld();
+                    zoomChanged = zoomChanged || radiusDelta !== 0;
+                }
+
+                // place the target in front of the moved camera, then keep the camera with it if the target gets clamped
+                this.target.set(0, 0, - 1).transformDirection(this.camera.matrix).multiplyScalar(newRadius).add(position);
+                offset.copy(this.target);
+                clampTarget();
+                position.add(offset.subVectors(this.target, offset));
+            }
+
+            if (this.bounds && this.clampCameraToBounds) {
+                position.clamp(this.bounds.min, this.bounds.max);
+                this.camera.lookAt(this.target);
+            }
+
+            collisionRadius = null;
+            if (this.colliders.length > 0) {
+                const distance = position.distanceTo(this.target);
+                const hitDistance = getCollisionDistance(distance);
+                // never closer than minDistance, even if that leaves the camera near the surface
+                const radius = hitDistance === null ? distance : Math.max(hitDistance - this.collisionOffset, this.minDistance);
+                if (radius < distance) {
+                    collisionRadius = distance;
+                    offset.subVectors(position, this.target).setLength(radius);
+                    position.copy(this.target).add(offset);
+                    collisionPosition.copy(position);
+                }
+            }
+
+            if (this.enableDamping) {
+                sphericalDelta.theta *= (1 - this.dampingFactor);
+                sphericalDelta.phi *= (1 - this.dampingFactor);
+                panOffset.multiplyScalar(1 - this.dampingFactor);
+                scale = Math.pow(scale, 1 - this.dampingFactor);
+                if (Math.abs(scale - 1) < EPS) {
+                    scale = 1;
+                    performCursorZoom = false;
+                }
+            } else {
+                sphericalDelta.set(0, 0, 0);
+                panOffset.set(0, 0, 0);
+                scale = 1;
+                performCursorZoom = false;
+            }
 
-            scale = 1;
             // update condition is:
             // min(camera displacement, camera rotation in radians)^2 > EPS
             // using small-angle approximation cos(x/2) = 1 - x^2 / 8
-            if (prevRadius != spherical.radius ||
+            let changed = false;
+            // setState() and camera switches can change the zoom without zooming
+            if (zoomChanged || lastZoom !== this.camera.zoom ||
                 lastPosition.distanceToSquared(this.camera.position) > EPS ||
                 8 * (1 - lastQuaternion.dot(this.camera.quaternion)) > EPS ||
                 lastTargetPosition.distanceToSquared(this.target) > EPS) {
                 lastPosition.copy(this.camera.position);
                 lastQuaternion.copy(this.camera.quaternion);
                 lastTargetPosition.copy(this.target);
+                lastZoom = this.camera.zoom;
                 this.dispatchEvent(_changeEvent);
+                changed = true;
             }
+            if (transitionDone) endTransition(true);
+            return changed;
         };
 
+        const stepTransition = () => {
+            const elapsed = performance.now() - transition.startTime;
+            const t = transition.duration > 0 ? Math.min(elapsed / transition.duration, 1) : 1;
+            const k = transition.easing(t);
+            this.camera.position.lerpVectors(transition.fromPosition, transition.toPosition, k);
+            this.target.lerpVectors(transition.fromTarget, transition.toTarget, k);
+            if (transition.toZoom !== transition.fromZoom) {
+                this.camera.zoom = THREE.MathUtils.lerp(transition.fromZoom, transition.toZoom, k);
+                this.camera.updateProjectionMatrix();
+            }
+            return t === 1;
+        }
+
+        const endTransition = (completed) => {
+            if (transition === null) return;
+            const { resolve } = transition;
+            transition = null;
+            this.dispatchEvent(_endEvent);
+            resolve(completed);
+        }
+
+        // Returns the distance from the target to the nearest collider in the direction of the camera, or null if nothing is hit
+        // Surfaces facing away from the target are skipped, they are where the ray leaves a collider the target is inside of
+        const getCollisionDistance = (distance) => {
+            const direction = new THREE.Vector3().subVectors(this.camera.position, this.target).normalize();
+            collisionRaycaster.set(this.target, direction);
+            collisionRaycaster.far = distance + this.collisionOffset;
+            const hits = collisionRaycaster.intersectObjects(this.colliders, true);
+            const hit = hits.find(hit => !hit.face || hit.face.normal.clone().transformDirection(hit.object.matrixWorld).dot(direction) < 0);
+            return hit ? hit.distance : null;
+        }
+
+        const getAutoRotationAngle = (deltaTime) => TWO_PI / 60 * this.autoRotateSpeed * deltaTime;
+
+        const markInteraction = () => lastInteractionTime = performance.now();
+
         const getZoomScale = (delta) => Math.pow(0.95, this.zoomSpeed * Math.abs(delta * 0.01));
 
         const rotateLeft = (angle) => sphericalDelta.theta -= angle;
@@ -222,6 +532,13 @@ class OrbitControls extends THREE.EventDispatcher {
         }
 
         const pan = (deltaX, deltaY) => {
+            if (this.camera.isOrthographicCamera) {
+                // pan by the visible frustum size so the grid moves with the pointer
+                const camera = this.camera;
+                panLeft(deltaX * (camera.right - camera.left) / camera.zoom / this.domElement.clientWidth, camera.matrix);
+                panUp(deltaY * (camera.top - camera.bottom) / camera.zoom / this.domElement.clientHeight, camera.matrix);
+                return;
+            }
             const position = this.camera.position;
             const offset = new THREE.Vector3().copy(position).sub(this.target);
             let targetDistance = offset.length();
@@ -238,13 +555,40 @@ class OrbitControls extends THREE.EventDispatcher {
 
         const clampDistance = (dist) => Math.max(this.minDistance, Math.min(this.maxDistance, dist));
 
+        const clampZoom = (zoom) => Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+
+        const clampTarget = () => {
+            // Limit the target distance from the cursor to create a sphere around the center of interest
+            this.target.sub(this.cursor);
+            this.target.clampLength(this.minTargetRadius, this.maxTargetRadius);
+            this.target.add(this.cursor);
+            if (this.bounds) this.target.clamp(this.bounds.min, this.bounds.max);
+            // prevent camera from going below ground
+            this.target.y = Math.max(this.target.y, MIN_TARGET_HEIGHT);
+        }
+
+        // Points the dolly direction through the given client position, used by zoomToCursor
+        const updateZoomParameters = (x, y) => {
+            if (!this.zoomToCursor) return;
+            performCursorZoom = true;
+            const rect = this.domElement.getBoundingClientRect();
+            zoomPointer.set(
+                ((x - rect.left) / rect.width) * 2 - 1,
+                - ((y - rect.top) / rect.height) * 2 + 1
+            );
+            dollyDirection.set(zoomPointer.x, zoomPointer.y, 1).unproject(this.camera).sub(this.camera.position).normalize();
+        }
+
         //
         // event callbacks - update the camera state
         //
 
         const handleMouseDownRotate = (event) => rotateStart.set(event.clientX, event.clientY);
 
-        const handleMouseDownDolly = (event) => dollyStart.set(event.clientX, event.clientY);
+        const handleMouseDownDolly = (event) => {
+            updateZoomParameters(event.clientX, event.clientY);
+            dollyStart.set(event.clientX, event.clientY);
+        }
 
         const handleMouseDownPan = (event) => panStart.set(event.clientX, event.clientY);
 
@@ -278,6 +622,7 @@ class OrbitControls extends THREE.EventDispatcher {
         }
 
         const handleMouseWheel = (event) => {
+            updateZoomParameters(event.clientX, event.clientY);
             if (event.deltaY < 0) {
                 dollyIn(getZoomScale(event.deltaY));
             } else if (event.deltaY > 0) {
@@ -289,35 +634,35 @@ class OrbitControls extends THREE.EventDispatcher {
         const handleKeyDown = (event) => {
             let needsUpdate = false;
             switch (event.code) {
-                case KEYS.UP:
+                case this.keys.UP:
                     if (event.shiftKey) {
-                        rotateUp(TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
+                        if (this.enableRotate) rotateUp(TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
                     } else {
-                        pan(0, this.keyPanSpeed);
+                        if (this.enablePan) pan(0, this.keyPanSpeed);
                     }
                     needsUpdate = true;
                     break;
-                case KEYS.BOTTOM:
+                case this.keys.BOTTOM:
                     if (event.shiftKey) {
-                        rotateUp(- TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
+                        if (this.enableRotate) rotateUp(- TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
                     } else {
-                        pan(0, - this.keyPanSpeed);
+                        if (this.enablePan) pan(0, - this.keyPanSpeed);
                     }
                     needsUpdate = true;
                     break;
-                case KEYS.LEFT:
+                case this.keys.LEFT:
                     if (event.shiftKey) {
-                        rotateLeft(TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
+                        if (this.enableRotate) rotateLeft(TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
                     } else {
-                        pan(this.keyPanSpeed, 0);
+                        if (this.enablePan) pan(this.keyPanSpeed, 0);
                     }
                     needsUpdate = true;
                     break;
-                case KEYS.RIGHT:
+                case this.keys.RIGHT:
                     if (event.shiftKey) {
-                        rotateLeft(- TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
+                        if (this.enableRotate) rotateLeft(- TWO_PI * this.rotateSpeed / this.domElement.clientHeight);
                     } else {
-                        pan(- this.keyPanSpeed, 0);
+                        if (this.enablePan) pan(- this.keyPanSpeed, 0);
                     }
                     needsUpdate = true;
                     break;
@@ -325,6 +670,8 @@ class OrbitControls extends THREE.EventDispatcher {
             if (needsUpdate) {
                 // prevent the browser from scrolling on cursor keys
                 event.preventDefault();
+                endTransition(false);
+                markInteraction();
                 update();
             }
         }
@@ -357,16 +704,17 @@ class OrbitControls extends THREE.EventDispatcher {
             const dy = event.pageY - position.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             dollyStart.set(0, distance);
+            updateZoomParameters(0.5 * (event.pageX + position.x), 0.5 * (event.pageY + position.y));
         }
 
         const handleTouchStartDollyPan = (event) => {
-            handleTouchStartDolly(event);
-            handleTouchStartPan(event);
+            if (this.enableZoom) handleTouchStartDolly(event);
+            if (this.enablePan) handleTouchStartPan(event);
         }
 
         const handleTouchStartDollyRotate = (event) => {
-            handleTouchStartDolly(event);
-            handleTouchStartRotate(event);
+            if (this.enableZoom) handleTouchStartDolly(event);
+            if (this.enableRotate) handleTouchStartRotate(event);
         }
 
         const handleTouchMoveRotate = (event) => {
@@ -405,19 +753,20 @@ class OrbitControls extends THREE.EventDispatcher {
             const dy = event.pageY - position.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             dollyEnd.set(0, distance);
+            updateZoomParameters(0.5 * (event.pageX + position.x), 0.5 * (event.pageY + position.y));
             dollyDelta.set(0, Math.pow(dollyEnd.y / dollyStart.y, this.zoomSpeed));
             dollyOut(dollyDelta.y);
             dollyStart.copy(dollyEnd);
         }
 
         const handleTouchMoveDollyPan = (event) => {
-            handleTouchMoveDolly(event);
-            handleTouchMovePan(event);
+            if (this.enableZoom) handleTouchMoveDolly(event);
+            if (this.enablePan) handleTouchMovePan(event);
         }
 
         const handleTouchMoveDollyRotate = (event) => {
-            handleTouchMoveDolly(event);
-            handleTouchMoveRotate(event);
+            if (this.enableZoom) handleTouchMoveDolly(event);
+            if (this.enableRotate) handleTouchMoveRotate(event);
         }
 
         //
@@ -425,6 +774,9 @@ class OrbitControls extends THREE.EventDispatcher {
         //
 
         const onPointerDown = (event) => {
+            if (!this.enabled) return;
+            endTransition(false);
+            markInteraction();
             if (pointers.length === 0) {
                 this.domElement.setPointerCapture(event.pointerId);
                 this.domElement.addEventListener('pointermove', onPointerMove);
@@ -440,6 +792,7 @@ class OrbitControls extends THREE.EventDispatcher {
         }
 
         const onPointerMove = (event) => {
+            if (!this.enabled) return;
             if (event.pointerType === 'touch') {
                 onTouchMove(event);
             } else {
@@ -448,6 +801,7 @@ class OrbitControls extends THREE.EventDispatcher {
         }
 
         const onPointerUp = (event) => {
+            markInteraction();
             removePointer(event);
             switch (pointers.length) {
                 case 0:
@@ -470,36 +824,41 @@ class OrbitControls extends THREE.EventDispatcher {
             let mouseAction;
             switch (event.button) {
                 case 0:
-                    mouseAction = MOUSE_BUTTONS.LEFT;
+                    mouseAction = this.mouseButtons.LEFT;
                     break;
                 case 1:
-                    mouseAction = MOUSE_BUTTONS.MIDDLE;
+                    mouseAction = this.mouseButtons.MIDDLE;
                     break;
                 case 2:
-                    mouseAction = MOUSE_BUTTONS.RIGHT;
+                    mouseAction = this.mouseButtons.RIGHT;
                     break;
                 default:
                     mouseAction = -1;
             }
             switch (mouseAction) {
                 case THREE.MOUSE.DOLLY:
+                    if (!this.enableZoom) return;
                     handleMouseDownDolly(event);
                     state = STATE.DOLLY;
                     break;
                 case THREE.MOUSE.ROTATE:
                     if (event.shiftKey) {
+                        if (!this.enablePan) return;
                         handleMouseDownPan(event);
                         state = STATE.PAN;
                     } else {
+                        if (!this.enableRotate) return;
                         handleMouseDownRotate(event);
                         state = STATE.ROTATE;
                     }
                     break;
                 case THREE.MOUSE.PAN:
                     if (event.shiftKey) {
+                        if (!this.enableRotate) return;
                         handleMouseDownRotate(event);
                         state = STATE.ROTATE;
                     } else {
+                        if (!this.enablePan) return;
                         handleMouseDownPan(event);
                         state = STATE.PAN;
                     }
@@ -515,19 +874,24 @@ class OrbitControls extends THREE.EventDispatcher {
         const onMouseMove = (event) => {
             switch (state) {
                 case STATE.ROTATE:
+                    if (!this.enableRotate) return;
                     handleMouseMoveRotate(event);
                     break;
                 case STATE.DOLLY:
+                    if (!this.enableZoom) return;
                     handleMouseMoveDolly(event);
                     break;
                 case STATE.PAN:
+                    if (!this.enablePan) return;
                     handleMouseMovePan(event);
                     break;
             }
         }
 
         const onMouseWheel = (event) => {
-            if (state !== STATE.NONE) return;
+            if (!this.enabled || !this.enableZoom || state !== STATE.NONE) return;
+            endTransition(false);
+            markInteraction();
             event.preventDefault();
             this.dispatchEvent(_startEvent);
             // minimal wheel event altered to meet delta-zoom demand
@@ -552,18 +916,23 @@ class OrbitControls extends THREE.EventDispatcher {
             this.dispatchEvent(_endEvent);
         }
 
-        const onKeyDown = (event) => handleKeyDown(event);
+        const onKeyDown = (event) => {
+            if (!this.enabled) return;
+            handleKeyDown(event);
+        }
 
         const onTouchStart = (event) => {
             trackPointer(event);
             switch (pointers.length) {
                 case 1:
-                    switch (TOUCHES.ONE) {
+                    switch (this.touches.ONE) {
                         case THREE.TOUCH.ROTATE:
+                            if (!this.enableRotate) return;
                             handleTouchStartRotate(event);
                             state = STATE.TOUCH_ROTATE;
                             break;
                         case THREE.TOUCH.PAN:
+                            if (!this.enablePan) return;
                             handleTouchStartPan(event);
                             state = STATE.TOUCH_PAN;
                             break;
@@ -572,12 +941,14 @@ class OrbitControls extends THREE.EventDispatcher {
                     }
                     break;
                 case 2:
-                    switch (TOUCHES.TWO) {
+                    switch (this.touches.TWO) {
                         case THREE.TOUCH.DOLLY_PAN:
+                            if (!this.enableZoom && !this.enablePan) return;
                             handleTouchStartDollyPan(event);
                             state = STATE.TOUCH_DOLLY_PAN;
                             break;
                         case THREE.TOUCH.DOLLY_ROTATE:
+                            if (!this.enableZoom && !this.enableRotate) return;
                             handleTouchStartDollyRotate(event);
                             state = STATE.TOUCH_DOLLY_ROTATE;
                             break;
@@ -597,18 +968,22 @@ class OrbitControls extends THREE.EventDispatcher {
             trackPointer(event);
             switch (state) {
                 case STATE.TOUCH_ROTATE:
+                    if (!this.enableRotate) return;
                     handleTouchMoveRotate(event);
                     update();
                     break;
                 case STATE.TOUCH_PAN:
+                    if (!this.enablePan) return;
                     handleTouchMovePan(event);
                     update();
                     break;
                 case STATE.TOUCH_DOLLY_PAN:
+                    if (!this.enableZoom && !this.enablePan) return;
                     handleTouchMoveDollyPan(event);
                     update();
                     break;
                 case STATE.TOUCH_DOLLY_ROTATE:
+                    if (!this.enableZoom && !this.enableRotate) return;
                     handleTouchMoveDollyRotate(event);
                     update();
                     break;
@@ -617,7 +992,10 @@ class OrbitControls extends THREE.EventDispatcher {
             }
         }
 
-        const onContextMenu = (event) => event.preventDefault();
+        const onContextMenu = (event) => {
+            if (!this.enabled) return;
+            event.preventDefault();
+        }
 
         const addPointer = (event) => pointers.push(event.pointerId);
 
@@ -651,9 +1029,9 @@ class OrbitControls extends THREE.EventDispatcher {
         this.domElement.addEventListener('pointerdown', onPointerDown);
         this.domElement.addEventListener('pointercancel', onPointerUp);
         this.domElement.addEventListener('wheel', onMouseWheel, { passive: false });
-        domElement.getRootNode().addEventListener('keydown', onKeyDown);
 
         update();
+        this.saveState();
     }
 
 }
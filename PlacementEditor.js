@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+
+// Places plants on the tile grid with the mouse
+//
+//    Click a tile - places the chosen model at the centre of the tile
+//    Drag a plant - moves it to the centre of the tile under the pointer
+//    R / rotate() - turns the selected plant by 90 degrees
+//    Delete / remove() - removes the selected plant
+//
+// Tiles are the children of the grid with userData.tile, plants are children of the grid with userData.plant
+// The tile a plant is on is kept in userData.plant.tile
+// Dispatches 'dragging-changed' so orbit controls can be disabled while a plant is dragged,
+// 'select' when the selected plant changes and 'change' whenever a plant is added, moved, rotated or removed
+
+const ROTATION_STEP = Math.PI / 2;
+
+// Pointer movement in pixels below which a press and release counts as a click
+const CLICK_TOLERANCE = 4;
+
+const _changeEvent = { type: 'change' };
+
+class PlacementEditor extends THREE.EventDispatcher {
+
+    constructor(camera, domElement) {
+
+        super();
+
+        this.camera = camera;
+        this.domElement = domElement;
+
+        // Set to true to enter placement mode
+        this.enabled = false;
+
+        // Group holding the tiles and plants
+        this.grid = null;
+
+        // Model placed when a tile is clicked, e.g. { file: 'fiddle_leaf_plant.glb', scale: 1 }, null to only move existing plants
+        this.model = null;
+
+        // Loads a model file and returns a promise for the Object3D with userData.plant set, supplied by the app
+        this.loadModel = null;
+
+        // Currently selected plant
+        this.selected = null;
+
+        // Outline around the selected plant, add it to the scene to show it
+        this.helper = new THREE.BoxHelper(undefined, 0xffff00);
+        this.helper.visible = false;
+        this.helper.raycast = () => { }; // the outline shouldn't be picked
+
+        //
+        // public methods
+        //
+
+        this.select = (plant) => {
+            if (plant === this.selected) return;
+            this.selected = plant;
+            updateHelper();
+            this.dispatchEvent({ type: 'select', plant: plant });
+        };
+
+        // Turns the selected plant by 90 degrees, direction is 1 for anticlockwise or -1 for clockwise
+        this.rotate = (direction = 1) => {
+            if (!this.selected) return;
+            const rotation = this.selected.rotation.y + direction * ROTATION_STEP;
+            // snap to the nearest step and keep the angle within 0 to 2 PI
+            this.selected.rotation.y = THREE.MathUtils.euclideanModulo(Math.round(rotation / ROTATION_STEP) * ROTATION_STEP, 2 * Math.PI);
+            updateHelper();
+            this.dispatchEvent(_changeEvent);
+        };
+
+        this.remove = () => {
+            if (!this.selected) return;
+            this.selected.removeFromParent();
+            this.select(null);
+            this.dispatchEvent(_changeEvent);
+        };
+
+        this.listenToKeyEvents = (element) => {
+            this.stopListenToKeyEvents();
+            element.addEventListener('keydown', onKeyDown);
+            keyEventElement = element;
+        };
+
+        this.stopListenToKeyEvents = () => {
+            if (keyEventElement === null) return;
+            keyEventElement.removeEventListener('keydown', onKeyDown);
+            keyEventElement = null;
+        };
+
+        this.dispose = () => {
+            this.domElement.removeEventListener('pointerdown', onPointerDown, { capture: true });
+            this.domElement.removeEventListener('pointercancel', onPointerCancel);
+            this.domElement.removeEventListener('pointermove', onPointerMove);
+            this.domElement.removeEventListener('pointerup', onPointerUp);
+            this.stopListenToKeyEvents();
+            this.helper.dispose();
+        };
+
+        //
+        // internals
+        //
+
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        const pointerStart = new THREE.Vector2();
+
+        let dragging = false;
+        let keyEventElement = null;
+
+        const updateHelper = () => {
+            this.helper.visible = this.selected !== null;
+            if (this.selected) this.helper.setFromObject(this.selected);
+        }
+
+        const setPointer = (event) => {
+            const rect = this.domElement.getBoundingClientRect();
+            pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+            pointer.y = - ((event.clientY - rect.top) / rect.height) * 2 + 1;
+            raycaster.setFromCamera(pointer, this.camera);
+        }
+
+        // Returns the plant a descendant object belongs to, or null if it isn't part of a plant
+        const getPlant = (object) => {
+            while (object && object.parent !== this.grid) {
+                object = object.parent;
+            }
+            return object && object.userData.plant ? object : null;
+        }
+
+        const getTiles = () => this.grid.children.filter(child => child.userData.tile);
+
+        const getTileUnderPointer = () => {
+            const hits = raycaster.intersectObjects(getTiles(), false);
+            return hits.length > 0 ? hits[0].object : null;
+        }
+
+        const placeModel = async (tile) => {
+            const model = this.model;
+            const plant = await this.loadModel(model.file);
+            plant.position.copy(tile.position);
+            plant.scale.setScalar(model.scale ?? 1);
+            plant.userData.plant.tile = { ...tile.userData.tile };
+            this.grid.add(plant);
+            this.select(plant);
+            this.dispatchEvent(_changeEvent);
+        }
+
+        const setDragging = (value) => {
+            dragging = value;
+            this.dispatchEvent({ type: 'dragging-changed', value: value });
+        }
+
+        const onPointerDown = (event) => {
+            if (!this.enabled || !this.grid || event.button !== 0) return;
+            setPointer(event);
+            pointerStart.set(event.clientX, event.clientY);
+            this.domElement.addEventListener('pointermove', onPointerMove);
+            this.domElement.addEventListener('pointerup', onPointerUp);
+
+            const hits = raycaster.intersectObject(this.grid, true);
+            const plant = hits.length > 0 ? getPlant(hits[0].object) : null;
+            if (plant) {
+                this.select(plant);
+                // keep receiving the drag's events when the pointer leaves the canvas
+                this.domElement.setPointerCapture(event.pointerId);
+                setDragging(true);
+            }
+        }
+
+        const onPointerMove = (event) => {
+            if (!dragging) return;
+            setPointer(event);
+            const tile = getTileUnderPointer();
+            if (tile && !tile.position.equals(this.selected.position)) {
+                this.selected.position.copy(tile.position);
+                this.selected.userData.plant.tile = { ...tile.userData.tile };
+                updateHelper();
+                this.dispatchEvent(_changeEvent);
+            }
+        }
+
+        const endPress = (event) => {
+            this.domElement.removeEventListener('pointermove', onPointerMove);
+            this.domElement.removeEventListener('pointerup', onPointerUp);
+            if (dragging) {
+                this.domElement.releasePointerCapture(event.pointerId);
+                setDragging(false);
+            }
+        }
+
+        const onPointerUp = (event) => {
+            const wasDragging = dragging;
+            endPress(event);
+            // a click rather than the end of a drag or an orbit
+            if (wasDragging || pointerStart.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > CLICK_TOLERANCE) return;
+            setPointer(event);
+            const tile = getTileUnderPointer();
+            if (tile && this.model) {
+                placeModel(tile).catch(error => console.error(`An error occurred while placing ${this.model.file}:`, error));
+            } else {
+                this.select(null);
+            }
+        }
+
+        // the plant stays where the drag last left it
+        const onPointerCancel = (event) => endPress(event);
+
+        const onKeyDown = (event) => {
+            if (!this.enabled) return;
+            switch (event.code) {
+                case 'KeyR':
+                    this.rotate(event.shiftKey ? - 1 : 1);
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    this.remove();
+                    break;
+                case 'Escape':
+                    this.select(null);
+                    break;
+            }
+        }
+
+        // capture so the editor sees the press before orbit controls on the same element
+        this.domElement.addEventListener('pointerdown', onPointerDown, { capture: true });
+        this.domElement.addEventListener('pointercancel', onPointerCancel);
+
+    }
+
+}
+
+export { PlacementEditor };
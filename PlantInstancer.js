@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+
+// Draws plants that share a model with one InstancedMesh per mesh in the model
+//
+// Each plant keeps its own copy of the model with the meshes hidden, so picking, bounding boxes,
+// selection and collisions work on the plant as before, while the visible copies are drawn as instances
+// Plants are roots with userData.plant, those whose meshes share the same geometries and materials are drawn together
+// Call update() with the current plants whenever plants are added, moved or removed, nothing is redrawn in between
+
+class PlantInstancer extends THREE.Group {
+
+    constructor() {
+
+        super();
+
+        this.name = 'plant-instances';
+
+        // Set to false to draw every plant on its own again, e.g. for exporters that don't understand instancing
+        this.enabled = true;
+
+        // Fewest plants sharing a model before they are instanced
+        this.minInstances = 4;
+
+        //
+        // public methods
+        //
+
+        this.update = (plants) => {
+            const groups = new Map();
+            if (this.enabled) {
+                plants.forEach(plant => {
+                    const key = getTemplateKey(plant);
+                    if (!key) return;
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(plant);
+                });
+                groups.forEach((group, key) => {
+                    if (group.length < this.minInstances) groups.delete(key);
+                });
+            }
+
+            // show plants that are no longer instanced
+            const instancedPlants = new Set([...groups.values()].flat());
+            hiddenPlants.forEach(plant => {
+                if (!instancedPlants.has(plant)) setMeshesVisible(plant, true);
+            });
+            hiddenPlants = instancedPlants;
+
+            // drop instanced meshes for models that are no longer instanced
+            batches.forEach((batch, key) => {
+                if (!groups.has(key)) removeBatch(key);
+            });
+
+            groups.forEach((group, key) => {
+                let batch = batches.get(key);
+                // instanced meshes have a fixed capacity, rebuild them when plants are added or removed
+                if (!batch || batch.count !== group.length) {
+                    removeBatch(key);
+                    batch = createBatch(group[0], group.length);
+                    batches.set(key, batch);
+                }
+                group.forEach((plant, i) => {
+                    setMeshesVisible(plant, false);
+                    plant.updateWorldMatrix(true, true);
+                    getMeshes(plant).forEach((mesh, j) => batch.meshes[j].setMatrixAt(i, mesh.matrixWorld));
+                });
+                batch.meshes.forEach(mesh => mesh.instanceMatrix.needsUpdate = true);
+            });
+        };
+
+        this.dispose = () => {
+            batches.forEach((batch, key) => removeBatch(key));
+        };
+
+        //
+        // internals
+        //
+
+        // template key => { count, meshes }
+        const batches = new Map();
+        let hiddenPlants = new Set();
+
+        const getMeshes = (plant) => {
+            const meshes = [];
+            plant.traverse(child => {
+                if (child.isMesh) meshes.push(child);
+            });
+            return meshes;
+        }
+
+        const setMeshesVisible = (plant, visible) => getMeshes(plant).forEach(mesh => mesh.visible = visible);
+
+        // Identifies the geometries and materials a plant is drawn with, plants with the same key can share instanced meshes
+        // The file name can't be used, placeholders and dropped files may share a name with a different model
+        const getTemplateKey = (plant) => getMeshes(plant).map(mesh => {
+            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            return [mesh.geometry.uuid, ...materials.map(material => material.uuid)].join(',');
+        }).join('|');
+
+        // One instanced mesh for each mesh in the model, sharing the model's geometry and material
+        const createBatch = (plant, count) => {
+            const meshes = getMeshes(plant).map(mesh => {
+                const instancedMesh = new THREE.InstancedMesh(mesh.geometry, mesh.material, count);
+                instancedMesh.name = mesh.name;
+                instancedMesh.castShadow = mesh.castShadow;
+                instancedMesh.receiveShadow = mesh.receiveShadow;
+                // instances move with their plants, so the bounding sphere computed on first render can't be trusted
+                instancedMesh.frustumCulled = false;
+                // plants are picked through their own hidden copies
+                instancedMesh.raycast = () => { };
+                this.add(instancedMesh);
+                return instancedMesh;
+            });
+            return { count, meshes };
+        }
+
+        const removeBatch = (key) => {
+            const batch = batches.get(key);
+            if (!batch) return;
+            // the geometry and materials belong to the cached model, only the instance buffers are freed
+            batch.meshes.forEach(mesh => {
+                mesh.removeFromParent();
+                mesh.dispose();
+            });
+            batches.delete(key);
+        }
+
+    }
+
+}
+
+export { PlantInstancer };
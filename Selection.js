@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+// Keeps track of the hovered and selected objects and outlines them
+//
+// The app decides what is hovered and clicked, e.g. from a raycast, and passes the objects in
+// Dispatches 'change' when the selection changes
+
+const HOVER_COLOR = 0x88ccff;
+const SELECT_COLOR = 0xffaa00;
+
+const _changeEvent = { type: 'change' };
+
+// Outline that raycasts ignore, so it never gets hovered or selected itself
+const createOutline = (color) => {
+    const outline = new THREE.BoxHelper(undefined, color);
+    outline.raycast = () => { };
+    return outline;
+}
+
+class Selection extends THREE.EventDispatcher {
+
+    constructor() {
+
+        super();
+
+        this.hovered = null;
+        this.selected = [];
+
+        // Outlines of the hovered and selected objects, add it to the scene to show them
+        this.helpers = new THREE.Group();
+        this.helpers.name = 'selection-helpers';
+
+        //
+        // public methods
+        //
+
+        this.setHovered = (object) => {
+            if (object === this.hovered) return;
+            this.hovered = object;
+            hoverOutline.visible = object !== null && !this.isSelected(object);
+            if (hoverOutline.visible) hoverOutline.setFromObject(object);
+        };
+
+        this.isSelected = (object) => this.selected.includes(object);
+
+        // Selects an object, or with additive set adds it to the selection, or removes it if it is already selected
+        // Passing null without additive clears the selection
+        this.select = (object, additive = false) => {
+            if (additive) {
+                if (object === null) return;
+                this.selected = this.isSelected(object) ?
+                    this.selected.filter(selected => selected !== object) :
+                    [...this.selected, object];
+            } else {
+                this.selected = object === null ? [] : [object];
+            }
+            updateOutlines();
+            this.dispatchEvent(_changeEvent);
+        };
+
+        this.deselect = (object) => {
+            if (this.isSelected(object)) this.select(object, true);
+        };
+
+        this.clear = () => this.select(null);
+
+        // Fits the outlines to their objects again, call after the objects move
+        this.update = () => {
+            if (hoverOutline.visible) hoverOutline.setFromObject(this.hovered);
+            selectOutlines.forEach((outline, i) => outline.setFromObject(this.selected[i]));
+        };
+
+        this.dispose = () => {
+            hoverOutline.dispose();
+            selectOutlines.forEach(outline => outline.dispose());
+        };
+
+        //
+        // internals
+        //
+
+        const hoverOutline = createOutline(HOVER_COLOR);
+        hoverOutline.visible = false;
+        this.helpers.add(hoverOutline);
+
+        const selectOutlines = [];
+
+        // one outline per selected object, reusing the existing ones
+        const updateOutlines = () => {
+            while (selectOutlines.length < this.selected.length) {
+                const outline = createOutline(SELECT_COLOR);
+                selectOutlines.push(outline);
+                this.helpers.add(outline);
+            }
+            while (selectOutlines.length > this.selected.length) {
+                const outline = selectOutlines.pop();
+                outline.removeFromParent();
+                outline.dispose();
+            }
+            // objects that are selected don't need the hover outline as well
+            hoverOutline.visible = this.hovered !== null && !this.isSelected(this.hovered);
+            this.update();
+        }
+
+    }
+
+}
+
+export { Selection };
@@ -0,0 +1,200 @@
+import * as THREE from 'three';
+
+// Paints the tile ShaderMaterial uniforms with the mouse
+//
+//    Click or drag across tiles - sets the brush value on every tile under the pointer
+//    Ctrl + Z / undo() - undoes the last stroke
+//    Ctrl + Shift + Z, Ctrl + Y / redo() - redoes the last undone stroke
+//
+// Brushes are 'color' for uBaseColor, 'hue' for uHue and 'saturation' for uSaturation
+// Tiles are the children of the grid with userData.tile
+// Dispatches 'dragging-changed' so orbit controls can be disabled while painting,
+// and 'change' whenever tiles are painted or the history changes
+
+const BRUSH_UNIFORMS = { color: 'uBaseColor', hue: 'uHue', saturation: 'uSaturation' };
+
+// Number of strokes kept for undo
+const MAX_HISTORY = 100;
+
+const _changeEvent = { type: 'change' };
+
+// Colours are objects so they need copying, hue and saturation are plain numbers
+const cloneValue = (value) => value.isColor ? value.clone() : value;
+
+const setUniform = (uniform, value) => {
+    if (uniform.value.isColor) {
+        uniform.value.copy(value);
+    } else {
+        uniform.value = value;
+    }
+}
+
+class TilePainter extends THREE.EventDispatcher {
+
+    constructor(camera, domElement) {
+
+        super();
+
+        this.camera = camera;
+        this.domElement = domElement;
+
+        // Set to true to enter painting mode
+        this.enabled = false;
+
+        // Group holding the tiles
+        this.grid = null;
+
+        // Which uniform is painted, 'color', 'hue' or 'saturation'
+        this.brush = 'color';
+
+        // Values the brushes paint
+        this.color = new THREE.Color(0xffffff);
+        this.hue = 0;
+        this.saturation = 1;
+
+        //
+        // public methods
+        //
+
+        this.canUndo = () => undoStack.length > 0;
+
+        this.canRedo = () => redoStack.length > 0;
+
+        this.undo = () => {
+            const stroke = undoStack.pop();
+            if (!stroke) return;
+            stroke.forEach(edit => setUniform(edit.tile.material.uniforms[edit.uniform], edit.before));
+            redoStack.push(stroke);
+            this.dispatchEvent(_changeEvent);
+        };
+
+        this.redo = () => {
+            const stroke = redoStack.pop();
+            if (!stroke) return;
+            stroke.forEach(edit => setUniform(edit.tile.material.uniforms[edit.uniform], edit.after));
+            undoStack.push(stroke);
+            this.dispatchEvent(_changeEvent);
+        };
+
+        // Forgets all strokes, e.g. when the tiles they were painted on are replaced
+        this.clearHistory = () => {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            this.dispatchEvent(_changeEvent);
+        };
+
+        this.listenToKeyEvents = (element) => {
+            this.stopListenToKeyEvents();
+            element.addEventListener('keydown', onKeyDown);
+            keyEventElement = element;
+        };
+
+        this.stopListenToKeyEvents = () => {
+            if (keyEventElement === null) return;
+            keyEventElement.removeEventListener('keydown', onKeyDown);
+            keyEventElement = null;
+        };
+
+        this.dispose = () => {
+            this.domElement.removeEventListener('pointerdown', onPointerDown, { capture: true });
+            this.domElement.removeEventListener('pointercancel', onPointerUp);
+            this.domElement.removeEventListener('pointermove', onPointerMove);
+            this.domElement.removeEventListener('pointerup', onPointerUp);
+            this.stopListenToKeyEvents();
+        };
+
+        //
+        // internals
+        //
+
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+
+        const undoStack = [];
+        const redoStack = [];
+
+        // edits made since the pointer went down, undone and redone together
+        let stroke = null;
+        let keyEventElement = null;
+
+        const getBrushValue = () => {
+            switch (this.brush) {
+                case 'color':
+                    return this.color;
+                case 'hue':
+                    return this.hue;
+                case 'saturation':
+                    return this.saturation;
+            }
+        }
+
+        const getTileUnderPointer = (event) => {
+            const rect = this.domElement.getBoundingClientRect();
+            pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+            pointer.y = - ((event.clientY - rect.top) / rect.height) * 2 + 1;
+            raycaster.setFromCamera(pointer, this.camera);
+            const tiles = this.grid.children.filter(child => child.userData.tile);
+            const hits = raycaster.intersectObjects(tiles, false);
+            return hits.length > 0 ? hits[0].object : null;
+        }
+
+        const paint = (event) => {
+            const tile = getTileUnderPointer(event);
+            const uniformName = BRUSH_UNIFORMS[this.brush];
+            // each tile is only recorded once per stroke so undo returns it to its value before the stroke
+            if (!tile || !uniformName || stroke.some(edit => edit.tile === tile)) return;
+            const uniform = tile.material.uniforms[uniformName];
+            const value = getBrushValue();
+            stroke.push({ tile: tile, uniform: uniformName, before: cloneValue(uniform.value), after: cloneValue(value) });
+            setUniform(uniform, value);
+            this.dispatchEvent(_changeEvent);
+        }
+
+        const onPointerDown = (event) => {
+            if (!this.enabled || !this.grid || event.button !== 0) return;
+            stroke = [];
+            this.dispatchEvent({ type: 'dragging-changed', value: true });
+            // keep receiving the stroke's events when the pointer leaves the canvas
+            this.domElement.setPointerCapture(event.pointerId);
+            this.domElement.addEventListener('pointermove', onPointerMove);
+            this.domElement.addEventListener('pointerup', onPointerUp);
+            paint(event);
+        }
+
+        const onPointerMove = (event) => paint(event);
+
+        const onPointerUp = (event) => {
+            if (stroke === null) return;
+            this.domElement.releasePointerCapture(event.pointerId);
+            this.domElement.removeEventListener('pointermove', onPointerMove);
+            this.domElement.removeEventListener('pointerup', onPointerUp);
+            this.dispatchEvent({ type: 'dragging-changed', value: false });
+            if (stroke.length > 0) {
+                undoStack.push(stroke);
+                if (undoStack.length > MAX_HISTORY) undoStack.shift();
+                redoStack.length = 0;
+                this.dispatchEvent(_changeEvent);
+            }
+            stroke = null;
+        }
+
+        const onKeyDown = (event) => {
+            if (!this.enabled || !(event.ctrlKey || event.metaKey)) return;
+            if (event.code === 'KeyZ' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if (event.code === 'KeyY' || (event.code === 'KeyZ' && event.shiftKey)) {
+                event.preventDefault();
+                this.redo();
+            }
+        }
+
+        // capture so the painter sees the press before orbit controls on the same element
+        this.domElement.addEventListener('pointerdown', onPointerDown, { capture: true });
+        this.domElement.addEventListener('pointercancel', onPointerUp);
+
+    }
+
+}
+
+export { TilePainter };
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+import { clone } from 'three/addons/utils/SkeletonUtils.js';
+import { loadModelFile } from './modelLoaders.js';
+
+// Shared cache of loaded models, each url is downloaded and parsed once
+// Copies share their geometry and materials with the cached model, so they must not be disposed individually
+// Every loader should use loadingManager so the page can show the progress and failures of all downloads
+
+const loadingManager = new THREE.LoadingManager();
+
+const textureLoader = new THREE.TextureLoader(loadingManager);
+
+// url => promise of the loaded model, kept as the template that copies are made from
+const cache = new Map();
+
+const PLACEHOLDER_COLOR = 0xff00ff;
+const PLACEHOLDER_SIZE = 1;
+// Label texture size in pixels
+const LABEL_WIDTH = 256;
+const LABEL_HEIGHT = 64;
+
+const placeholderGeometry = new THREE.BoxGeometry(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+placeholderGeometry.translate(0, PLACEHOLDER_SIZE / 2, 0); // stand on the ground like the plant models
+const placeholderMaterial = new THREE.MeshBasicMaterial({ color: PLACEHOLDER_COLOR, wireframe: true });
+placeholderMaterial.name = 'placeholder';
+
+const loadTemplate = (url) => {
+    if (!cache.has(url)) {
+        const promise = loadModelFile(url, loadingManager)
+            .catch(error => {
+                // let a later call try again
+                cache.delete(url);
+                throw error;
+            });
+        cache.set(url, promise);
+    }
+    return cache.get(url);
+}
+
+// Returns a new copy of the model at url, any type that modelLoaders.js supports can be loaded
+const loadAsset = async (url) => clone(await loadTemplate(url));
+
+// Sprite showing text, it can't be picked so the box under it stands for the model
+const createLabel = (text) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = LABEL_WIDTH;
+    canvas.height = LABEL_HEIGHT;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, LABEL_WIDTH, LABEL_HEIGHT);
+    context.font = `${LABEL_HEIGHT / 2}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    context.fillText(text, LABEL_WIDTH / 2, LABEL_HEIGHT / 2, LABEL_WIDTH);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture }));
+    label.scale.set(PLACEHOLDER_SIZE * 2, PLACEHOLDER_SIZE * 2 * LABEL_HEIGHT / LABEL_WIDTH, 1);
+    label.position.y = PLACEHOLDER_SIZE * 1.5;
+    label.raycast = () => { };
+    return label;
+}
+
+// Wireframe box with a label, shown instead of a model that couldn't be loaded
+const createPlaceholder = (name) => {
+    const placeholder = new THREE.Group();
+    placeholder.name = name;
+    placeholder.add(new THREE.Mesh(placeholderGeometry, placeholderMaterial), createLabel(name));
+    return placeholder;
+}
+
+// Loads a texture, if it can't be loaded the texture is filled with a flat colour instead
+const loadTexture = (url, fallbackColor) => {
+    const texture = textureLoader.load(url, undefined, undefined, () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        const context = canvas.getContext('2d');
+        context.fillStyle = new THREE.Color(fallbackColor).getStyle();
+        context.fillRect(0, 0, 1, 1);
+        texture.image = canvas;
+        texture.needsUpdate = true;
+    });
+    return texture;
+}
+
+export { loadingManager, loadAsset, createPlaceholder, loadTexture };
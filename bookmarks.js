@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+// Named camera bookmarks kept in localStorage, and sharing of the current view through the URL hash
+
+const STORAGE_KEY = 'camera-bookmarks';
+const HASH_KEY = 'view';
+const CAMERA_KEY = 'camera';
+const ZOOM_KEY = 'zoom';
+// Decimal places kept for coordinates in the URL hash
+const HASH_PRECISION = 3;
+// How long restoring a bookmark takes, in milliseconds
+const RESTORE_DURATION = 1000;
+
+// JSON has no Infinity, which the default limits use, so store them as strings
+const replacer = (key, value) => {
+    if (value === Infinity) return 'Infinity';
+    if (value === -Infinity) return '-Infinity';
+    return value;
+}
+
+const reviver = (key, value) => {
+    if (value === 'Infinity') return Infinity;
+    if (value === '-Infinity') return -Infinity;
+    return value;
+}
+
+const readBookmarks = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY), reviver) || {};
+    } catch (e) {
+        console.log('Could not read camera bookmarks', e);
+        return {};
+    }
+}
+
+const writeBookmarks = (bookmarks) => localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarks, replacer));
+
+// Returns the names of all saved bookmarks in alphabetical order
+const listBookmarks = () => Object.keys(readBookmarks()).sort();
+
+// Saves the current view and limits of the controls under the given name, replacing any bookmark with that name
+const saveBookmark = (name, controls) => {
+    const state = controls.getState();
+    const bookmarks = readBookmarks();
+    bookmarks[name] = {
+        camera: controls.camera.isOrthographicCamera ? 'plan' : 'perspective',
+        position: state.position.toArray(),
+        target: state.target.toArray(),
+        cursor: state.cursor.toArray(),
+        zoom: state.zoom,
+        limits: state.limits
+    };
+    writeBookmarks(bookmarks);
+}
+
+const deleteBookmark = (name) => {
+    const bookmarks = readBookmarks();
+    delete bookmarks[name];
+    writeBookmarks(bookmarks);
+}
+
+// Flies the camera to a saved bookmark, resolves to false if there is no bookmark with that name
+// setPlanView(isPlanView) is called first to switch to the camera the bookmark was saved with,
+// its polar angle limits and zoom only suit that camera
+const restoreBookmark = async (name, controls, setPlanView) => {
+    const bookmark = readBookmarks()[name];
+    if (!bookmark) return false;
+    // bookmarks saved before the camera was stored only have the plan view's straight down polar limit to go by
+    if (setPlanView) setPlanView(bookmark.camera ? bookmark.camera === 'plan' : bookmark.limits?.maxPolarAngle === 0);
+    // Apply the limits, cursor and zoom straight away, then animate to the saved position and target
+    controls.setState({
+        position: controls.camera.position,
+        target: controls.target,
+        cursor: new THREE.Vector3().fromArray(bookmark.cursor),
+        // Zoom only applies to the orthographic plan view camera
+        zoom: controls.camera.isOrthographicCamera ? bookmark.zoom : undefined,
+        limits: bookmark.limits
+    });
+    return controls.flyTo({
+        position: new THREE.Vector3().fromArray(bookmark.position),
+        target: new THREE.Vector3().fromArray(bookmark.target),
+        duration: RESTORE_DURATION
+    });
+}
+
+const roundForHash = (value) => Number(value.toFixed(HASH_PRECISION));
+
+// Encodes the camera position and target, the camera type and the zoom of the plan view,
+// e.g. "view=5,5,5,0,0.1,0&camera=perspective" or "view=0,10,0,0,0,0&camera=plan&zoom=2"
+const viewToHash = (controls) => {
+    const values = [...controls.camera.position.toArray(), ...controls.target.toArray()];
+    let hash = `${HASH_KEY}=${values.map(roundForHash).join(',')}`;
+    if (controls.camera.isOrthographicCamera) {
+        hash += `&${CAMERA_KEY}=plan&${ZOOM_KEY}=${roundForHash(controls.camera.zoom)}`;
+    } else {
+        hash += `&${CAMERA_KEY}=perspective`;
+    }
+    return hash;
+}
+
+// Moves the camera to the view in a URL hash from viewToHash, returns false if the hash holds no valid view
+// setPlanView(isPlanView) is called first to switch to the camera type in the hash, links without one use the perspective camera
+const applyHashView = (hash, controls, setPlanView) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const view = params.get(HASH_KEY);
+    if (!view) return false;
+    const values = view.split(',').map(Number);
+    if (values.length !== 6 || !values.every(isFinite)) return false;
+    if (setPlanView) setPlanView(params.get(CAMERA_KEY) === 'plan');
+    const zoom = Number(params.get(ZOOM_KEY));
+    controls.setState({
+        position: new THREE.Vector3().fromArray(values, 0),
+        target: new THREE.Vector3().fromArray(values, 3),
+        // Zoom only applies to the orthographic plan view camera
+        zoom: controls.camera.isOrthographicCamera && zoom > 0 ? zoom : undefined
+    });
+    return true;
+}
+
+export { listBookmarks, saveBookmark, deleteBookmark, restoreBookmark, viewToHash, applyHashView };
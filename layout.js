@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+
+// Garden layout files, describing the tile grid and the plants placed on it
+//
+// {
+//     "gridSize": 7,                  number of tiles along each side of the square grid
+//     "tileSize": 10,                 width of a tile in world units
+//     "tileDefaults": { "hue": 0.2, "saturation": 1.56, "baseColor": "#ffffff" },
+//     "tiles": [                      only tiles that differ from the defaults or hold plants need listing
+//         {
+//             "row": 3, "col": 4,     row runs along x and col along z, both starting at 0
+//             "hue": 0.1,             optional overrides of tileDefaults
+//             "plants": [{ "model": "fiddle_leaf_plant.glb", "scale": 1, "rotation": 90, "offset": [0, 0, 0] }]
+//         }
+//     ]
+// }
+//
+// Plant models are file names in the models folder, rotation is in degrees around the vertical axis
+// and the optional offset moves the plant from the centre of its tile, as [x, y, z] in world units
+
+const DEFAULT_TILE = { hue: 0, saturation: 1, baseColor: '#ffffff' };
+const DEFAULT_PLANT = { scale: 1, rotation: 0, offset: [0, 0, 0] };
+// Decimal places kept for exported rotations and offsets
+const EXPORT_PRECISION = 2;
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const isTileIndex = (value, gridSize) => Number.isInteger(value) && value >= 0 && value < gridSize;
+
+const isColor = (value) => typeof value === 'string' || isNumber(value);
+
+const round = (value) => Number(value.toFixed(EXPORT_PRECISION));
+
+// Checks the optional hue, saturation and baseColor of tileDefaults or a tile, name is used in the error message
+const checkTileSettings = (settings, name) => {
+    if (settings.hue !== undefined && !isNumber(settings.hue)) throw new Error(`Layout ${name} hue must be a number`);
+    if (settings.saturation !== undefined && !isNumber(settings.saturation)) throw new Error(`Layout ${name} saturation must be a number`);
+    if (settings.baseColor !== undefined && !isColor(settings.baseColor)) throw new Error(`Layout ${name} baseColor must be a colour string or number`);
+}
+
+const checkPlant = (plant, name) => {
+    if (typeof plant.model !== 'string' || !plant.model) throw new Error(`Layout ${name} has a plant without a model`);
+    if (plant.scale !== undefined && (!isNumber(plant.scale) || plant.scale <= 0)) throw new Error(`Layout ${name} plant scale must be a positive number`);
+    if (plant.rotation !== undefined && !isNumber(plant.rotation)) throw new Error(`Layout ${name} plant rotation must be a number`);
+    if (plant.offset !== undefined && !(Array.isArray(plant.offset) && plant.offset.length === 3 && plant.offset.every(isNumber))) {
+        throw new Error(`Layout ${name} plant offset must be an array of three numbers`);
+    }
+}
+
+// Colours can be given in any format THREE.Color understands, they are stored as hex strings
+const toHexColor = (color) => `#${new THREE.Color(color).getHexString()}`;
+
+// Checks a layout and fills in any missing optional values, throws an Error describing the first problem found
+const parseLayout = (json) => {
+    if (!json || typeof json !== 'object') throw new Error('Layout must be an object');
+    const { gridSize, tileSize, tileDefaults = {}, tiles = [] } = json;
+    if (!Number.isInteger(gridSize) || gridSize < 1) throw new Error('Layout gridSize must be a positive whole number');
+    if (!isNumber(tileSize) || tileSize <= 0) throw new Error('Layout tileSize must be a positive number');
+    if (!tileDefaults || typeof tileDefaults !== 'object') throw new Error('Layout tileDefaults must be an object');
+    if (!Array.isArray(tiles)) throw new Error('Layout tiles must be an array');
+    checkTileSettings(tileDefaults, 'tileDefaults');
+
+    const defaults = { ...DEFAULT_TILE, ...tileDefaults };
+    defaults.baseColor = toHexColor(defaults.baseColor);
+    const parsedTiles = tiles.map((tile, index) => {
+        if (!isTileIndex(tile.row, gridSize) || !isTileIndex(tile.col, gridSize)) {
+            throw new Error(`Layout tile ${index} is outside the ${gridSize}x${gridSize} grid`);
+        }
+        checkTileSettings(tile, `tile ${index}`);
+        if (tile.plants !== undefined && !Array.isArray(tile.plants)) throw new Error(`Layout tile ${index} plants must be an array`);
+        const plants = (tile.plants || []).map((plant) => {
+            checkPlant(plant, `tile ${index}`);
+            return { ...DEFAULT_PLANT, ...plant };
+        });
+        const parsedTile = { ...tile, plants };
+        if (tile.baseColor !== undefined) parsedTile.baseColor = toHexColor(tile.baseColor);
+        return parsedTile;
+    });
+
+    return { gridSize, tileSize, tileDefaults: defaults, tiles: parsedTiles };
+}
+
+// Fetches and parses a layout file
+const loadLayout = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load layout ${url}: ${response.status} ${response.statusText}`);
+    return parseLayout(await response.json());
+}
+
+// Returns the hue, saturation, base colour and plants of a tile, with defaults for anything the layout doesn't set
+const getTileSettings = (layout, row, col) => {
+    const tile = layout.tiles.find(tile => tile.row === row && tile.col === col) || { plants: [] };
+    return {
+        hue: tile.hue ?? layout.tileDefaults.hue,
+        saturation: tile.saturation ?? layout.tileDefaults.saturation,
+        baseColor: tile.baseColor ?? layout.tileDefaults.baseColor,
+        plants: tile.plants
+    };
+}
+
+// Offset that centres the grid on the origin
+const getGridOffset = (layout) => (layout.gridSize - 1) * layout.tileSize / 2;
+
+// Returns the world position of the centre of a tile
+const getTilePosition = (layout, row, col) => {
+    const offset = getGridOffset(layout);
+    return new THREE.Vector3(row * layout.tileSize - offset, 0, col * layout.tileSize - offset);
+}
+
+// Returns the row and column of the tile under a world position, or null if it is off the grid
+const getTileCoords = (layout, position) => {
+    const offset = getGridOffset(layout);
+    const row = Math.round((position.x + offset) / layout.tileSize);
+    const col = Math.round((position.z + offset) / layout.tileSize);
+    if (!isTileIndex(row, layout.gridSize) || !isTileIndex(col, layout.gridSize)) return null;
+    return { row, col };
+}
+
+// Builds a layout from the current scene
+// tiles are meshes with userData.tile and the tile ShaderMaterial, plants are models with userData.plant
+const exportLayout = (layout, tiles, plants) => {
+    const defaults = layout.tileDefaults;
+    const entries = new Map();
+    const getEntry = (row, col) => {
+        const key = `${row},${col}`;
+        if (!entries.has(key)) entries.set(key, { row, col });
+        return entries.get(key);
+    };
+
+    tiles.forEach(tile => {
+        const { row, col } = tile.userData.tile;
+        const uniforms = tile.material.uniforms;
+        const baseColor = `#${uniforms.uBaseColor.value.getHexString()}`;
+        if (uniforms.uHue.value !== defaults.hue) getEntry(row, col).hue = uniforms.uHue.value;
+        if (uniforms.uSaturation.value !== defaults.saturation) getEntry(row, col).saturation = uniforms.uSaturation.value;
+        if (baseColor !== defaults.baseColor) getEntry(row, col).baseColor = baseColor;
+    });
+
+    plants.forEach(plant => {
+        const coords = getTileCoords(layout, plant.position);
+        if (!coords) return;
+        const entry = getEntry(coords.row, coords.col);
+        entry.plants = entry.plants || [];
+        const layoutPlant = {
+            model: plant.userData.plant.sourceFile,
+            scale: plant.scale.x,
+            rotation: round(THREE.MathUtils.radToDeg(plant.rotation.y))
+        };
+        // plants moved off the centre of their tile, e.g. in the properties panel
+        const offset = plant.position.clone().sub(getTilePosition(layout, coords.row, coords.col)).toArray().map(round);
+        if (offset.some(value => value !== 0)) layoutPlant.offset = offset;
+        entry.plants.push(layoutPlant);
+    });
+
+    return {
+        gridSize: layout.gridSize,
+        tileSize: layout.tileSize,
+        tileDefaults: { ...defaults },
+        tiles: [...entries.values()].sort((a, b) => a.row - b.row || a.col - b.col)
+    };
+}
+
+export { parseLayout, loadLayout, getTileSettings, getTilePosition, getTileCoords, exportLayout };
@@ -0,0 +1,33 @@
+// Shows the progress of a loading manager in a progress element and lists the files that failed to load
+// The progress element is hidden while nothing is loading
+
+const showLoadingStatus = (manager, progressElement, errorList) => {
+    progressElement.hidden = true;
+
+    manager.onStart = (url, loaded, total) => {
+        progressElement.hidden = false;
+        progressElement.max = total;
+        progressElement.value = loaded;
+    };
+
+    manager.onProgress = (url, loaded, total) => {
+        progressElement.max = total;
+        progressElement.value = loaded;
+    };
+
+    // called once everything has finished, including files that failed
+    manager.onLoad = () => {
+        progressElement.hidden = true;
+    };
+
+    manager.onError = (url) => {
+        const message = `Failed to load ${url}`;
+        // a missing model is requested again for every plant that uses it
+        if ([...errorList.children].some(item => item.innerText === message)) return;
+        const item = document.createElement('li');
+        item.innerText = message;
+        errorList.append(item);
+    };
+}
+
+export { showLoadingStatus };
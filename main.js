@@ -1,30 +1,135 @@
 import * as THREE from 'three';
 import { OrbitControls } from './OrbitControls.js';
+import { PlacementEditor } from './PlacementEditor.js';
+import { TilePainter } from './TilePainter.js';
+import { Selection } from './Selection.js';
+import { PlantInstancer } from './PlantInstancer.js';
+import { Lighting } from './Lighting.js';
+import { EnvironmentManager } from './EnvironmentManager.js';
+import { updatePropertiesPanel } from './propertiesPanel.js';
+import { loadingManager, loadAsset, createPlaceholder, loadTexture } from './assets.js';
+import { showLoadingStatus } from './loadingStatus.js';
+import { loadModelFiles } from './modelFiles.js';
+import { bakeShaderMaterials } from './materialBaker.js';
+import { captureScreenshot } from './screenshot.js';
+import { recordTurntable } from './turntable.js';
 // import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { PLYExporter } from 'three/addons/exporters/PLYExporter.js';
+import { USDZExporter } from 'three/addons/exporters/USDZExporter.js';
+import { parseLayout, loadLayout, getTileSettings, getTilePosition, getTileCoords, exportLayout } from './layout.js';
+import { listBookmarks, saveBookmark, deleteBookmark, restoreBookmark, viewToHash, applyHashView } from './bookmarks.js';
 
-let axes, scene, camera, renderer, loader, light, raycaster, plantModel, cubeModel, pointer, controls, gltfExporter, objExporter;
+let axes, scene, camera, perspectiveCamera, planCamera, renderer, lighting, raycaster, plantModel, cubeModel, pointer, controls, gltfExporter, objExporter, stlExporter, plyExporter, usdzExporter;
+let layout, tileGrid, grassTexture, placementEditor, tilePainter, selection, plantInstancer, environment;
+let modelCatalog = [];
 
 const container = document.getElementById('container');
 const infoBox = document.getElementById('info-box');
+const propertiesPanel = document.getElementById('properties-panel');
+const loadingProgress = document.getElementById('loading-progress');
+const loadingErrorList = document.getElementById('loading-errors');
 const downloadGLTFButton = document.getElementById('download-gltf');
+const exportDialog = document.getElementById('export-dialog');
+const exportFormatList = document.getElementById('export-format');
+const exportSelectionInput = document.getElementById('export-selection');
+const exportExcludeHelpersInput = document.getElementById('export-exclude-helpers');
 const downloadOBJButton = document.getElementById('download-obj');
+const downloadSTLButton = document.getElementById('download-stl');
+const downloadPLYButton = document.getElementById('download-ply');
+const downloadUSDZButton = document.getElementById('download-usdz');
 const imageDownloadButton = document.getElementById('image-download');
+const screenshotDialog = document.getElementById('screenshot-dialog');
+const screenshotSizeList = document.getElementById('screenshot-size');
+const screenshotFormatList = document.getElementById('screenshot-format');
+const screenshotHideBackgroundInput = document.getElementById('screenshot-hide-background');
+const planViewButton = document.getElementById('plan-view');
+const resetViewButton = document.getElementById('reset-view');
+const autoRotateButton = document.getElementById('auto-rotate');
+const sunDateInput = document.getElementById('sun-date');
+const sunTimeInput = document.getElementById('sun-time');
+const fillLightInput = document.getElementById('fill-light');
+const environmentPresetList = document.getElementById('environment-preset');
+const environmentBlurInput = document.getElementById('environment-blur');
+const environmentIntensityInput = document.getElementById('environment-intensity');
+const environmentRotationInput = document.getElementById('environment-rotation');
+const recordTurntableButton = document.getElementById('turntable-record');
+const turntableDurationInput = document.getElementById('turntable-duration');
+const turntableFrameRateList = document.getElementById('turntable-frame-rate');
+const turntableFormatList = document.getElementById('turntable-format');
+const bookmarkList = document.getElementById('bookmark-list');
+const saveBookmarkButton = document.getElementById('bookmark-save');
+const deleteBookmarkButton = document.getElementById('bookmark-delete');
+const layoutFileInput = document.getElementById('layout-file');
+const loadLayoutButton = document.getElementById('layout-load');
+const exportLayoutButton = document.getElementById('layout-export');
+const placementModeButton = document.getElementById('placement-mode');
+const placementModelList = document.getElementById('placement-model');
+const rotatePlantButton = document.getElementById('plant-rotate');
+const deletePlantButton = document.getElementById('plant-delete');
+const paintModeButton = document.getElementById('paint-mode');
+const paintBrushList = document.getElementById('paint-brush');
+const paintColorInput = document.getElementById('paint-color');
+const paintHueInput = document.getElementById('paint-hue');
+const paintSaturationInput = document.getElementById('paint-saturation');
+const undoPaintButton = document.getElementById('paint-undo');
+const redoPaintButton = document.getElementById('paint-redo');
 const FOV = 75;
 
-const GRID_SIZE = 7;
-const TILE_SIZE = 10;
-const MIN_CAMERA_DIST = TILE_SIZE / 2;
-const MAX_CAMERA_DIST = GRID_SIZE * TILE_SIZE;
+const DEFAULT_LAYOUT_URL = 'layouts/default.json';
+// Models that can be placed with the placement editor
+const MODEL_CATALOG_URL = 'models/catalog.json';
+// Used until the layout file loads, or if it can't be loaded
+const FALLBACK_LAYOUT = parseLayout({ gridSize: 7, tileSize: 10, tileDefaults: { hue: 0.2, saturation: 1.56 } });
+// Backgrounds and environment lighting that can be chosen, a preset without a url shows the sky gradient
+const ENVIRONMENT_PRESETS = [
+    { name: 'Skybox', url: 'textures/skybox.exr' },
+    { name: 'Venice Sunset', url: 'https://cdn.jsdelivr.net/gh/mrdoob/three.js@r167/examples/textures/equirectangular/venice_sunset_1k.hdr' },
+    { name: 'Royal Esplanade', url: 'https://cdn.jsdelivr.net/gh/mrdoob/three.js@r167/examples/textures/equirectangular/royal_esplanade_1k.hdr' },
+    { name: 'Quarry', url: 'https://cdn.jsdelivr.net/gh/mrdoob/three.js@r167/examples/textures/equirectangular/quarry_01_1k.hdr' },
+    { name: 'Sky Gradient', url: null }
+];
+const MAX_POLAR_ANGLE = Math.PI / 2 - 0.1;
+// How long the camera takes to fly to a double clicked object, in milliseconds
+const FOCUS_DURATION = 800;
+// How long the camera must be still before the URL hash is updated, in milliseconds
+const HASH_UPDATE_DELAY = 250;
+// Pointer movement in pixels below which a press and release counts as a click rather than an orbit
+const CLICK_TOLERANCE = 4;
+// Shown instead of assets that can't be loaded
+const FALLBACK_GRASS_COLOR = 0x4f7a28;
+// Largest side of a dropped model as a fraction of the tile size
+const IMPORTED_MODEL_SIZE = 0.8;
+// File extensions of the screenshot image types
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+// Quality of the lossy screenshot types, from 0 to 1
+const IMAGE_QUALITY = 0.92;
+// How much of the sun's light the plants' shadows block on the tiles, from 0 to 1
+const TILE_SHADOW_STRENGTH = 0.5;
+
+// perspective camera offset from the target, restored when leaving the plan view
+const perspectiveOffset = new THREE.Vector3();
+
+// Camera limits depend on the size of the grid in the current layout
+const getMinCameraDist = () => layout.tileSize / 2;
+const getMaxCameraDist = () => layout.gridSize * layout.tileSize;
+// Half the height of the plan view at zoom 1, fits the whole grid
+const getPlanViewSize = () => layout.gridSize * layout.tileSize / 2;
+
+// where the last press on the canvas started, used to tell clicks from orbit drags
+const pointerDownPosition = new THREE.Vector2();
+
+// timeout for the pending URL hash update
+let hashUpdateTimeout = null;
 
 // link used to download the file
 const link = document.createElement('a');
 
 // Initialises main components of the scene
 const init = () => {
+    layout = FALLBACK_LAYOUT;
     scene = new THREE.Scene();
     // axes = new THREE.AxesHelper(2);
     // axes.name = 'axes';
@@ -33,36 +138,114 @@ const init = () => {
     camera = new THREE.PerspectiveCamera(FOV, container.clientWidth / container.clientHeight);
     camera.position.set(5, 5, 5);
     camera.lookAt(scene.position);
+    perspectiveCamera = camera;
 
+    // Top-down orthographic camera for the plan view, the frustum is set by fitViewToGrid
+    planCamera = new THREE.OrthographicCamera();
+    planCamera.near = 0.1;
 
-    renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+    // alpha lets screenshots have a transparent background, the view itself is cleared to opaque black as before
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setClearColor(0x000000, 1);
     renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     renderer.setSize(container.clientWidth, container.clientHeight);
     container.appendChild(renderer.domElement);
     controls = new OrbitControls(camera, renderer.domElement);
-    // controls.enableDamping = true;
+    controls.enableDamping = true;
+    controls.zoomToCursor = true;
     // Prevent camera from going below the ground
-    controls.maxPolarAngle = Math.PI / 2 - 0.1;
-    // Prevent camera from going too far away or too close
-    controls.minDistance = MIN_CAMERA_DIST;
-    controls.maxDistance = MAX_CAMERA_DIST;
-    controls.minTargetRadius = MIN_CAMERA_DIST;
-    controls.maxTargetRadius = MAX_CAMERA_DIST;
-    // controls.listenToKeyEvents(window); // Allows the camera to move with the arrow keys
+    controls.maxPolarAngle = MAX_POLAR_ANGLE;
+    fitViewToGrid();
+    controls.saveState(); // Used by the reset view button
+    // Key events come from the canvas so typing in the page's inputs doesn't move the camera or edit the scene
+    // tabIndex lets the canvas take focus when it is clicked
+    renderer.domElement.tabIndex = 0;
+    controls.listenToKeyEvents(renderer.domElement); // Allows the camera to move with the arrow keys
+
+    placementEditor = new PlacementEditor(camera, renderer.domElement);
+    placementEditor.loadModel = (filename) => loadPlant(filename, new THREE.Vector3());
+    // Stop orbiting while a plant is being dragged
+    placementEditor.addEventListener('dragging-changed', event => controls.enabled = !event.value);
+    placementEditor.addEventListener('change', onPlantsEdited);
+    placementEditor.listenToKeyEvents(renderer.domElement);
+    scene.add(placementEditor.helper);
+
+    selection = new Selection();
+    selection.addEventListener('change', refreshPropertiesPanel);
+    scene.add(selection.helpers);
+
+    tilePainter = new TilePainter(camera, renderer.domElement);
+    // Stop orbiting while painting
+    tilePainter.addEventListener('dragging-changed', event => controls.enabled = !event.value);
+    tilePainter.addEventListener('change', updatePaintHistoryButtons);
+    tilePainter.listenToKeyEvents(renderer.domElement);
+
+    // Draws plants that share a model as instances, the plants themselves stay in the grid for picking
+    plantInstancer = new PlantInstancer();
+    scene.add(plantInstancer);
 
-    loader = new GLTFLoader();
     raycaster = new THREE.Raycaster();
     pointer = null;
 
+    // Background and environment lighting, falls back to a sky gradient when an image can't be loaded
+    environment = new EnvironmentManager(renderer, scene, loadingManager);
+
     gltfExporter = new GLTFExporter();
     objExporter = new OBJExporter();
+    stlExporter = new STLExporter();
+    plyExporter = new PLYExporter();
+    usdzExporter = new USDZExporter();
+}
+
+// Sets the plan view frustum from the container size and grid size
+const updatePlanCamera = () => {
+    const aspect = container.clientWidth / container.clientHeight;
+    const size = getPlanViewSize();
+    planCamera.left = -size * aspect;
+    planCamera.right = size * aspect;
+    planCamera.top = size;
+    planCamera.bottom = -size;
+    planCamera.far = getMaxCameraDist() * 2;
+    planCamera.updateProjectionMatrix();
 }
 
+// Sets the camera limits to suit the grid in the current layout
+const fitViewToGrid = () => {
+    // Prevent camera from going too far away or too close
+    controls.minDistance = getMinCameraDist();
+    controls.maxDistance = getMaxCameraDist();
+    // Keep the target over the tile grid, up to the furthest the camera can be
+    const gridExtent = layout.gridSize * layout.tileSize / 2;
+    controls.bounds = new THREE.Box3(
+        new THREE.Vector3(-gridExtent, 0, -gridExtent),
+        new THREE.Vector3(gridExtent, getMaxCameraDist(), gridExtent)
+    );
+    // Plan view can zoom from the whole grid down to a single tile
+    controls.minZoom = 1;
+    controls.maxZoom = layout.gridSize;
+    updatePlanCamera();
+}
+
+// The three.js chunks pass the position in the sun's shadow map to the fragment shader
+// The normal is in view space, the same space three gives the light directions in
 const vertexShader = `
+    #include <common>
+    #include <shadowmap_pars_vertex>
+
     varying vec2 vUv;
+    varying vec3 vNormal;
     void main() {
         vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+
+        #include <beginnormal_vertex>
+        #include <defaultnormal_vertex>
+        vNormal = normalize(transformedNormal);
+        #include <begin_vertex>
+        #include <project_vertex>
+        #include <worldpos_vertex>
+        #include <shadowmap_vertex>
     }
 `;
 
@@ -72,8 +255,17 @@ const fragmentShader = `
     uniform float uHue;
     uniform float uSaturation;
     uniform vec3 uBaseColor;
+    uniform float uShadowStrength;
 
     varying vec2 vUv;
+    varying vec3 vNormal;
+
+    #include <common>
+    #include <packing>
+    #include <bsdfs>
+    #include <lights_pars_begin>
+    #include <shadowmap_pars_fragment>
+    #include <shadowmask_pars_fragment>
 
     vec3 rgb2hsv(vec3 c) {
         vec4 K = vec4(0.0, -1.0/3.0, 2.0/3.0, -1.0);
@@ -90,6 +282,30 @@ const fragmentShader = `
         return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
     }
 
+    // Light reaching the tile from the sun, the sky fill and any ambient light, the same diffuse lighting plants get
+    // A scene without lights, like the one materials are baked for export in, shows the tile's own colour
+    vec3 getTileLight() {
+        #if NUM_DIR_LIGHTS == 0 && NUM_HEMI_LIGHTS == 0
+            return vec3(1.0);
+        #else
+            vec3 normal = normalize(vNormal);
+            vec3 irradiance = getAmbientLightIrradiance(ambientLightColor);
+            #if NUM_HEMI_LIGHTS > 0
+                for (int i = 0; i < NUM_HEMI_LIGHTS; i++) {
+                    irradiance += getHemisphereLightIrradiance(hemisphereLights[i], normal);
+                }
+            #endif
+            #if NUM_DIR_LIGHTS > 0
+                // plants shade the tile from the sun, getShadowMask is 1 in full sun
+                float sunlight = 1.0 - uShadowStrength * (1.0 - getShadowMask());
+                for (int i = 0; i < NUM_DIR_LIGHTS; i++) {
+                    irradiance += saturate(dot(normal, directionalLights[i].direction)) * directionalLights[i].color * sunlight;
+                }
+            #endif
+            return irradiance * RECIPROCAL_PI; // Lambert diffuse, as in the plants' standard materials
+        #endif
+    }
+
     void main() {
         vec4 color = texture2D(uTexture, vUv);
         vec3 hsv = rgb2hsv(color.rgb);
@@ -104,96 +320,202 @@ const fragmentShader = `
 
         // Apply the base color
         vec3 rgb = hsv2rgb(hsv) * uBaseColor;
+
+        // Light the tile so it follows the sun through the day
+        rgb *= getTileLight();
         
         gl_FragColor = vec4(rgb, color.a);
     }
 `;
 
-// Loads a model from a url and gives it a name
+// Loads a model from a url and names its root, the names of the nodes inside the model are kept
+// Each url is only downloaded once, later calls get a copy sharing the geometry and materials
+// If the model can't be loaded a labelled placeholder is returned so the scene still shows where it should be
 const loadModel = async (path, name) => {
-    const loader = new GLTFLoader(); // Assuming GLTF format
-    const model = await loader.loadAsync(path);
-    model.scene.traverse((child) => {
-        child.name = name;
+    try {
+        const model = await loadAsset(path);
+        model.name = name;
+        return model;
+    } catch (error) {
+        console.error(`An error occurred while loading ${path}:`, error);
+        return createPlaceholder(name);
+    }
+}
+
+// Returns the catalog name of a model file, or a name made from the file name, e.g. "Banana Plant With Pot"
+const getDisplayName = (filename) => {
+    const entry = modelCatalog.find(entry => entry.file === filename);
+    if (entry) return entry.name;
+    return filename
+        .replace(/\.[^.]+$/, '')
+        .split(/[_\-\s]+/)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Metadata kept in userData.plant on the root of every plant model
+const createPlantMetadata = (filename, position) => ({
+    assetId: filename.replace(/\.[^.]+$/, ''),
+    sourceFile: filename,
+    displayName: getDisplayName(filename),
+    tile: getTileCoords(layout, position)
+});
+
+// Lets the meshes of a model cast shadows from the sun and shade each other
+const enableShadows = (model) => {
+    model.traverse(child => {
+        if (!child.isMesh) return;
+        child.castShadow = true;
+        child.receiveShadow = true;
     });
-    return model.scene;
 }
 
-// Loads a plant model and scales it
-const loadPlant = async (filename, position, scaleFactor = 1) => {
-    const plantModel = await loadModel(`models/${filename}`, filename);
+// Loads a plant model, scales it and rotates it by rotation degrees around the vertical axis
+const loadPlant = async (filename, position, scaleFactor = 1, rotation = 0) => {
+    const plantModel = await loadModel(`models/${filename}`, getDisplayName(filename));
     plantModel.position.copy(position); // Set the model's position
 
     // Scale the model
     plantModel.scale.set(scaleFactor, scaleFactor, scaleFactor);
+    plantModel.rotation.y = THREE.MathUtils.degToRad(rotation);
+
+    plantModel.userData.plant = createPlantMetadata(filename, position);
+    enableShadows(plantModel);
+    return plantModel;
+}
 
-    scene.add(plantModel); // Add the model to the scene
+// Wraps a model in a group that scales it to fit on a tile and stands it centred on the group's origin
+const fitModelToTile = (model) => {
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+    const largestSide = Math.max(size.x, size.y, size.z);
+    const scale = largestSide > 0 ? layout.tileSize * IMPORTED_MODEL_SIZE / largestSide : 1;
+    const center = box.getCenter(new THREE.Vector3());
+    model.position.sub(new THREE.Vector3(center.x, box.min.y, center.z)).multiplyScalar(scale);
+    model.scale.multiplyScalar(scale);
+    const fitted = new THREE.Group();
+    fitted.add(model);
+    return fitted;
 }
 
+// Loads a plant from files dropped by the user, sized to fit a tile
+const importPlant = async (files, position) => {
+    const { model, file } = await loadModelFiles(files);
+    const plantModel = fitModelToTile(model);
+    plantModel.name = getDisplayName(file.name);
+    plantModel.position.copy(position);
+    plantModel.userData.plant = createPlantMetadata(file.name, position);
+    enableShadows(plantModel);
+    return plantModel;
+}
 
 // Load the grass texture
-const loadGrassTexture = () => {
-    const loader = new THREE.TextureLoader();
-    return loader.load('textures/grass-tileable.jpg');
-};
+const loadGrassTexture = () => loadTexture('textures/grass-tileable.jpg', FALLBACK_GRASS_COLOR);
 
 // Create a tile material with custom shader
-const createTileMaterial = (texture, hueShift, saturation) => {
+const createTileMaterial = (texture, hueShift, saturation, baseColor = 0xffffff) => {
     return new THREE.ShaderMaterial({
         uniforms: {
+            // lights need these uniforms, UniformsUtils.merge isn't used as it would clone the texture too
+            ...THREE.UniformsUtils.clone(THREE.UniformsLib.lights),
+            uShadowStrength: { value: TILE_SHADOW_STRENGTH },
             uTexture: { value: texture },
             uHue: { value: hueShift },  // Adjust hue
             uSaturation: { value: saturation },  // Adjust saturation
-            uBaseColor: { value: new THREE.Color(0xffffff) }// Default to white, no color tint
+            uBaseColor: { value: new THREE.Color(baseColor) }// Default to white, no color tint
         },
         vertexShader: vertexShader,
-        fragmentShader: fragmentShader
+        fragmentShader: fragmentShader,
+        lights: true // Needed for the sun's shadows
     });
 };
 
 // Create the tile mesh
-const createTile = (texture, size, hueShift, saturation) => {
+const createTile = (texture, size, hueShift, saturation, baseColor) => {
     const geometry = new THREE.PlaneGeometry(size, size);
-    const material = createTileMaterial(texture, hueShift, saturation);
+    const material = createTileMaterial(texture, hueShift, saturation, baseColor);
     const tile = new THREE.Mesh(geometry, material);
     tile.rotation.x = -Math.PI / 2; // Rotate to horizontal
+    tile.receiveShadow = true;
     return tile;
 };
 
-// Create the grid of tiles
-const createTileGrid = async (rows, cols, tileSize, texture, hueShift, saturation) => {
+// Create the grid of tiles, coloured as set in the layout
+const createTileGrid = (layout, texture) => {
     const grid = new THREE.Group();
-    const offset = (rows - 1) * tileSize / 2; // Center the grid
-    const plantPromises = [];
+    grid.name = 'tile-grid';
 
-    for (let i = 0; i < rows; i++) {
-        for (let j = 0; j < cols; j++) {
-            const tile = createTile(texture, tileSize, hueShift, saturation);
-            tile.position.set(i * tileSize - offset, 0, j * tileSize - offset);
+    for (let i = 0; i < layout.gridSize; i++) {
+        for (let j = 0; j < layout.gridSize; j++) {
+            const { hue, saturation, baseColor } = getTileSettings(layout, i, j);
+            const tile = createTile(texture, layout.tileSize, hue, saturation, baseColor);
+            tile.position.copy(getTilePosition(layout, i, j));
+            tile.userData.tile = { row: i, col: j };
             grid.add(tile);
-
-            // Load and position the plant at the center of the tile
-            // const plantPosition = new THREE.Vector3(i * tileSize - offset, 0, j * tileSize - offset);
-            // const plantModel = await loadPlant('fern.glb', plantPosition, 10);
-
-            // Adjust the plant's position above the tile if necessary
-            // plantModel.position.y += tileSize / 2;
-
-            // grid.add(plantModel);
-            // plantPromises.push(
-            //     loadPlant(plantFilename, plantPosition, plantScale)
-            //         .then(plantModel => {
-            //             // Adjust the plant's position above the tile if necessary
-            //             plantModel.position.y += tileSize / 2;
-            //             grid.add(plantModel);
-            //         })
-            // );
         }
     }
-    // await Promise.all(plantPromises);
     return grid;
 };
 
+// Frees the tiles' geometry and materials, the grass texture and the plants' cached models are shared and kept
+const disposeTiles = (grid) => {
+    grid.children.filter(child => child.userData.tile).forEach(tile => {
+        tile.geometry.dispose();
+        tile.material.dispose();
+    });
+};
+
+// Loads the plants in the layout and adds them to the grid at the center of their tiles, moved by their offsets
+const addLayoutPlants = async (grid, layout) => {
+    const plantPromises = [];
+    layout.tiles.forEach(tile => {
+        tile.plants.forEach(plant => {
+            const position = getTilePosition(layout, tile.row, tile.col).add(new THREE.Vector3().fromArray(plant.offset));
+            plantPromises.push(
+                loadPlant(plant.model, position, plant.scale, plant.rotation)
+                    .then(plantModel => grid.add(plantModel))
+                    .catch(error => console.error(`An error occurred while loading ${plant.model}:`, error))
+            );
+        });
+    });
+    await Promise.all(plantPromises);
+};
+
+// Replaces the current tile grid and plants with the garden in a layout
+const buildGarden = async (newLayout) => {
+    if (tileGrid) {
+        scene.remove(tileGrid);
+        controls.colliders = controls.colliders.filter(collider => collider !== tileGrid);
+        disposeTiles(tileGrid);
+    }
+    layout = newLayout;
+    fitViewToGrid();
+    lighting.setSize(layout.gridSize * layout.tileSize);
+    tileGrid = createTileGrid(layout, grassTexture);
+    scene.add(tileGrid); // Add the grid with plants to the scene
+    controls.colliders.push(tileGrid); // Stop the camera from clipping into the grid or plants
+    placementEditor.grid = tileGrid;
+    placementEditor.select(null);
+    selection.clear();
+    tilePainter.grid = tileGrid;
+    tilePainter.clearHistory();
+    updatePlantInstances(); // Drops the old garden's instances
+    await addLayoutPlants(tileGrid, layout);
+    updatePlantInstances();
+};
+
+// Redraws the instanced plants, call whenever plants are added, moved or removed
+const updatePlantInstances = () => plantInstancer.update(getPlants());
+
+// Returns the current garden in the layout file format
+const getCurrentLayout = () => {
+    const tiles = tileGrid.children.filter(child => child.userData.tile);
+    return exportLayout(layout, tiles, getPlants());
+};
+
+// Returns the plants in the garden
+const getPlants = () => tileGrid ? tileGrid.children.filter(child => child.userData.plant) : [];
+
 // Loads a basic cube model
 const loadCube = () => {
     const geometry = new THREE.BoxGeometry(1, 1, 1);
@@ -205,10 +527,30 @@ const loadCube = () => {
 
 
 
-// Adds a light to the scene
+// Adds the sun and sky fill lights to the scene
 const addLight = () => {
-    light = new THREE.AmbientLight(0xffffff);
-    scene.add(light);
+    lighting = new Lighting();
+    lighting.setSize(layout.gridSize * layout.tileSize);
+    scene.add(lighting);
+}
+
+// Moves the sun to the date and time of day in the lighting inputs
+const onSunSettingsChange = () => {
+    if (sunDateInput.value && sunTimeInput.value) {
+        lighting.date = new Date(`${sunDateInput.value}T${sunTimeInput.value}`);
+        lighting.update();
+    }
+    lighting.hemisphere.visible = fillLightInput.checked;
+}
+
+// Starts the date input at today, the time input keeps the time of day set in the page
+const setSunDateToToday = () => {
+    const today = new Date();
+    sunDateInput.value = [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0')
+    ].join('-');
 }
 
 // Returns an array of objects that the raycaster intersects with
@@ -220,53 +562,55 @@ const getIntersects = () => {
 // Method that gets called every frame
 const animate = () => {
 
-    light.position.copy(camera.position);
+    controls.update(); // required for damping
 
     if (pointer) {
         const intersects = getIntersects();
-        let text = '';
-        if (intersects.length > 0) {
-            text = intersects[0].object.name;
-        }
-        infoBox.innerText = text;
+        const hovered = intersects.length > 0 ? getModelRoot(intersects[0].object) : null;
+        infoBox.innerText = hovered ? describeObject(hovered) : '';
+        selection.setHovered(hovered);
     }
+    selection.update(); // Objects may have been moved
 
     renderer.render(scene, camera);
 }
 
-const loadHDRI = (url) => {
-    const loader = new EXRLoader();
-    loader.load(
-        url,
-        texture => {
-            texture.mapping = THREE.EquirectangularReflectionMapping;
-            scene.background = texture;
-            scene.environment = texture;
-        },
-        undefined,
-        error => console.error('An error occurred while loading the EXR file:', error)
-    );
-};
+// Fills the environment dropdown from the presets
+const addEnvironmentPresets = () => {
+    ENVIRONMENT_PRESETS.forEach((preset, i) => environmentPresetList.add(new Option(preset.name, i)));
+}
 
-init();
+// Shows the environment chosen in the dropdown
+const onEnvironmentPresetSelect = () => {
+    const preset = ENVIRONMENT_PRESETS[environmentPresetList.value];
+    if (preset.url) {
+        environment.load(preset.url);
+    } else {
+        environment.showSkyGradient();
+    }
+}
 
-addLight();
+// Copies the background blur, intensity and rotation from the environment inputs
+const onEnvironmentSettingsChange = () => {
+    environment.backgroundBlurriness = parseFloat(environmentBlurInput.value);
+    environment.intensity = parseFloat(environmentIntensityInput.value);
+    environment.rotation = parseFloat(environmentRotationInput.value);
+    environment.update();
+}
 
-const grassTexture = loadGrassTexture();
-createTileGrid(GRID_SIZE, GRID_SIZE, TILE_SIZE, grassTexture, 0.2, 1.56)
-    .then(grid => {
-        scene.add(grid); // Add the grid with plants to the scene
-    });
+init();
 
-loadPlant('fiddle_leaf_plant.glb', new THREE.Vector3(0, 0, 10));
+showLoadingStatus(loadingManager, loadingProgress, loadingErrorList);
 
-loadPlant('banana_plant_with_pot.glb', new THREE.Vector3(0, 0, -10));
+addLight();
 
-loadPlant('fern.glb', new THREE.Vector3(0, 0, 0), 10);
+grassTexture = loadGrassTexture();
 
 // loadCube();
 
-loadHDRI('textures/skybox.exr');
+addEnvironmentPresets();
+onEnvironmentSettingsChange();
+onEnvironmentPresetSelect();
 
 renderer.setAnimationLoop(animate);
 
@@ -289,26 +633,257 @@ const onMouseMove = (event) => {
 // Resets the user selection to default, allows things to be highlighted again
 const onMouseOut = () => {
     pointer = null;
+    selection.setHovered(null);
     document.body.style.userSelect = 'auto';
 }
 
 // Resize the renderer and fixes camera perspective when the window is resized
 const onWindowResize = () => {
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
+    perspectiveCamera.aspect = container.clientWidth / container.clientHeight;
+    perspectiveCamera.updateProjectionMatrix();
+    updatePlanCamera();
     renderer.setSize(container.clientWidth, container.clientHeight);
 }
 
-// Change the color of the object that is clicked
+// Switches between the perspective camera and a top-down orthographic plan view
+const togglePlanView = () => {
+    const enterPlanView = camera === perspectiveCamera;
+    const target = controls.target;
+    if (enterPlanView) {
+        // Look straight down from the current distance, only allow rotating around the vertical axis
+        perspectiveOffset.subVectors(perspectiveCamera.position, target);
+        planCamera.position.set(target.x, target.y + controls.getDistance(), target.z);
+        controls.maxPolarAngle = 0;
+        camera = planCamera;
+    } else {
+        perspectiveCamera.position.copy(target).add(perspectiveOffset);
+        controls.maxPolarAngle = MAX_POLAR_ANGLE;
+        camera = perspectiveCamera;
+    }
+    controls.camera = camera;
+    placementEditor.camera = camera;
+    tilePainter.camera = camera;
+    controls.update();
+    planViewButton.innerText = enterPlanView ? 'Perspective View' : 'Plan View';
+}
+
+// Switches to the plan view or the perspective camera if it isn't already in use
+const setPlanView = (planView) => {
+    if ((camera === planCamera) !== planView) togglePlanView();
+}
+
+// Turns the turntable rotation around the target on and off
+const toggleAutoRotate = () => {
+    controls.autoRotate = !controls.autoRotate;
+    autoRotateButton.innerText = controls.autoRotate ? 'Stop Rotating' : 'Auto Rotate';
+}
+
+// Returns to the perspective camera and the view saved in init
+const resetView = () => {
+    if (camera !== perspectiveCamera) togglePlanView();
+    controls.reset();
+    fitViewToGrid(); // The saved limits are from before the layout loaded
+}
+
+// Fills the placement model dropdown from the model catalog
+const loadModelCatalog = async () => {
+    const response = await fetch(MODEL_CATALOG_URL);
+    if (!response.ok) throw new Error(`Could not load model catalog: ${response.status} ${response.statusText}`);
+    modelCatalog = await response.json();
+    placementModelList.replaceChildren(new Option('Move plants only', ''));
+    modelCatalog.forEach(entry => placementModelList.add(new Option(entry.name, entry.file)));
+}
+
+// Turns placing, moving, rotating and deleting plants with the mouse on and off
+const togglePlacementMode = () => {
+    if (tilePainter.enabled) togglePaintMode(); // Both use left click, only one can be on at a time
+    placementEditor.enabled = !placementEditor.enabled;
+    if (!placementEditor.enabled) placementEditor.select(null);
+    placementModeButton.innerText = placementEditor.enabled ? 'Stop Editing' : 'Edit Plants';
+}
+
+const onPlacementModelSelect = () => {
+    placementEditor.model = modelCatalog.find(entry => entry.file === placementModelList.value) || null;
+}
+
+// Turns painting tile colours with the mouse on and off
+const togglePaintMode = () => {
+    if (placementEditor.enabled) togglePlacementMode();
+    tilePainter.enabled = !tilePainter.enabled;
+    paintModeButton.innerText = tilePainter.enabled ? 'Stop Painting' : 'Paint Tiles';
+}
+
+// Copies the brush and its values from the paint inputs to the painter
+const onPaintSettingsChange = () => {
+    tilePainter.brush = paintBrushList.value;
+    tilePainter.color.set(paintColorInput.value);
+    tilePainter.hue = parseFloat(paintHueInput.value);
+    tilePainter.saturation = parseFloat(paintSaturationInput.value);
+}
+
+const updatePaintHistoryButtons = () => {
+    undoPaintButton.disabled = !tilePainter.canUndo();
+    redoPaintButton.disabled = !tilePainter.canRedo();
+}
+
+// Lets files be dropped on the scene
+const onDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+}
+
+// Adds a dropped model to the tile under the drop point
+const onDrop = async (event) => {
+    event.preventDefault();
+    if (!tileGrid) return;
+    updatePointer(event);
+    raycaster.setFromCamera(pointer, camera);
+    const tiles = tileGrid.children.filter(child => child.userData.tile);
+    const intersects = raycaster.intersectObjects(tiles, false);
+    if (intersects.length === 0) {
+        window.alert('Drop the model on a tile');
+        return;
+    }
+    try {
+        const plant = await importPlant([...event.dataTransfer.files], intersects[0].object.position);
+        tileGrid.add(plant);
+        updatePlantInstances();
+        selection.select(plant);
+    } catch (e) {
+        console.log(e);
+        window.alert(`Could not import model: ${e.message}`);
+    }
+}
+
+// Reads a layout file chosen by the user and rebuilds the garden from it
+const onLayoutFileChange = async () => {
+    const file = layoutFileInput.files[0];
+    layoutFileInput.value = ''; // Allows the same file to be chosen again after editing it
+    if (!file) return;
+    try {
+        await buildGarden(parseLayout(JSON.parse(await file.text())));
+    } catch (e) {
+        console.log(e);
+        window.alert(`Could not load layout: ${e.message}`);
+    }
+}
+
+const onExportLayoutClick = () => {
+    const output = JSON.stringify(getCurrentLayout(), null, 4);
+    saveFile(createDataUrl(output, 'application/json'), 'layout.json');
+}
+
+// Fills the bookmark dropdown with the saved bookmark names
+const refreshBookmarkList = () => {
+    bookmarkList.replaceChildren(new Option('Bookmarks', ''));
+    listBookmarks().forEach(name => bookmarkList.add(new Option(name, name)));
+}
+
+const onSaveBookmarkClick = () => {
+    const name = window.prompt('Bookmark name');
+    if (!name) return;
+    saveBookmark(name, controls);
+    refreshBookmarkList();
+    bookmarkList.value = name;
+}
+
+const onDeleteBookmarkClick = () => {
+    if (!bookmarkList.value) return;
+    deleteBookmark(bookmarkList.value);
+    refreshBookmarkList();
+}
+
+const onBookmarkSelect = () => {
+    if (bookmarkList.value) {
+        restoreBookmark(bookmarkList.value, controls, setPlanView);
+    }
+}
+
+// Keeps the URL hash in sync with the camera so the current view can be shared as a link
+// Waits for the camera to settle, replaceState avoids adding a history entry for every movement
+const onControlsChange = () => {
+    clearTimeout(hashUpdateTimeout);
+    hashUpdateTimeout = setTimeout(() => history.replaceState(null, '', `#${viewToHash(controls)}`), HASH_UPDATE_DELAY);
+}
+
+const onHashChange = () => applyHashView(location.hash, controls, setPlanView);
+
+// Returns the plant or tile an intersected object belongs to, or the object itself if it is part of neither
+const getModelRoot = (object) => {
+    for (let current = object; current; current = current.parent) {
+        if (current.userData.plant || current.userData.tile) return current;
+    }
+    return object;
+}
+
+// Text shown in the info box for a plant, tile or other object
+const describeObject = (object) => {
+    const { plant, tile } = object.userData;
+    if (plant) {
+        const location = plant.tile ? ` on tile ${plant.tile.row}, ${plant.tile.col}` : '';
+        return `${plant.displayName} (${plant.sourceFile})${location}`;
+    }
+    if (tile) return `Tile ${tile.row}, ${tile.col}`;
+    return object.name;
+}
+
+// Flies the camera to frame the bounding box of an object, keeping the current viewing direction
+// The plan view frames it by zooming, as moving an orthographic camera closer doesn't make things bigger
+const focusObject = (object) => {
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    const halfFov = THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2;
+    const distance = THREE.MathUtils.clamp(sphere.radius / Math.sin(halfFov), getMinCameraDist(), getMaxCameraDist());
+    const direction = new THREE.Vector3().subVectors(camera.position, controls.target).normalize();
+    // the sphere fits the shorter side of the plan view at this zoom
+    const planZoom = Math.min(planCamera.top, planCamera.right) / sphere.radius;
+    controls.flyTo({
+        position: sphere.center.clone().addScaledVector(direction, distance),
+        target: sphere.center,
+        zoom: camera === planCamera ? THREE.MathUtils.clamp(planZoom, controls.minZoom, controls.maxZoom) : undefined,
+        duration: FOCUS_DURATION
+    });
+}
+
+const onDoubleClick = (event) => {
+    updatePointer(event);
+    const intersects = getIntersects();
+    if (intersects.length > 0) {
+        focusObject(getModelRoot(intersects[0].object));
+    }
+}
+
+const onPointerDown = (event) => pointerDownPosition.set(event.clientX, event.clientY);
+
+// Selects the clicked object, shift click adds to or removes from the selection
+// Tile colours are changed with the paint tool, see TilePainter
 const onClick = (event) => {
     updatePointer(event);
-    // const intersects = getIntersects();
-    // if (intersects.length > 0) {
-    //     const object = intersects[0].object;
-    //     if (object.material.uniforms && object.material.uniforms.uBaseColor) {
-    //         object.material.uniforms.uBaseColor.value = new THREE.Color(Math.random() * 0xffffff);
-    //     }
-    // }
+    // Placement and painting use clicks themselves, and orbiting ends with a click event
+    if (placementEditor.enabled || tilePainter.enabled) return;
+    if (pointerDownPosition.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > CLICK_TOLERANCE) return;
+    const intersects = getIntersects();
+    const object = intersects.length > 0 ? getModelRoot(intersects[0].object) : null;
+    selection.select(object, event.shiftKey);
+}
+
+const refreshPropertiesPanel = () => {
+    updatePropertiesPanel(propertiesPanel, selection.selected, onPropertiesEdited, describeObject);
+}
+
+// Keeps the tile of moved plants and the outlines up to date after a transform is edited in the panel
+const onPropertiesEdited = () => {
+    selection.selected.forEach(object => {
+        if (object.userData.plant) object.userData.plant.tile = getTileCoords(layout, object.position);
+    });
+    selection.update();
+    updatePlantInstances();
+}
+
+// Drops deleted plants from the selection and shows the new values of moved ones
+const onPlantsEdited = () => {
+    selection.selected.filter(object => !object.parent).forEach(selection.deselect);
+    refreshPropertiesPanel();
+    updatePlantInstances();
 }
 
 const saveFile = (data, filename) => {
@@ -321,36 +896,214 @@ const saveFile = (data, filename) => {
 
 const createDataUrl = (text, type) => URL.createObjectURL(new Blob([text], { type: type }));
 
+// Draws every plant on its own while the exporter reads the scene, as the exporters skip hidden meshes
+// or don't know about instancing
+const withoutInstancing = (callback) => {
+    plantInstancer.enabled = false;
+    updatePlantInstances();
+    try {
+        return callback();
+    } finally {
+        plantInstancer.enabled = true;
+        updatePlantInstances();
+    }
+}
+
+// Returns copies of objects placed where they are in the world, with the tile shaders baked into textures
+// as other tools can't show shader materials
+const copyForExport = (objects, MaterialType) => {
+    const copies = withoutInstancing(() => objects.map(object => {
+        const copy = object.clone();
+        if (object !== scene) object.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+        return copy;
+    }));
+    const bakedMaterials = bakeShaderMaterials(renderer, copies, MaterialType);
+    return { copies, bakedMaterials };
+}
+
+const disposeBakedMaterials = (materials) => {
+    materials.forEach(material => {
+        material.map.dispose();
+        material.dispose();
+    });
+}
+
+// The scene's children without the outlines and instances drawn for the viewer
+// Exporting these rather than the scene leaves out its background
+const getGardenObjects = () => {
+    const helpers = [selection.helpers, placementEditor.helper, plantInstancer];
+    return scene.children.filter(child => !helpers.includes(child));
+}
+
+const getExportObjects = (selectedOnly, excludeHelpers) => {
+    const objects = selectedOnly ? selection.selected : excludeHelpers ? getGardenObjects() : [scene];
+    return copyForExport(objects);
+}
+
+// Exports the garden as glTF with the options chosen in the export dialog
+const exportGLTF = async () => {
+    if (exportSelectionInput.checked && selection.selected.length === 0) {
+        window.alert('Select the objects to export first');
+        return;
+    }
+    const binary = exportFormatList.value === 'glb';
+    const { copies, bakedMaterials } = getExportObjects(exportSelectionInput.checked, exportExcludeHelpersInput.checked);
+    try {
+        const result = await gltfExporter.parseAsync(copies, { binary: binary });
+        if (binary) {
+            saveFile(createDataUrl(result, 'application/octet-stream'), 'scene.glb');
+        } else {
+            const output = JSON.stringify(result, null, 1);
+            saveFile(createDataUrl(output, 'text/plain'), 'scene.gltf');
+        }
+    } finally {
+        disposeBakedMaterials(bakedMaterials);
+    }
+}
+
+// Returns a group holding copies of the selected plants for the 3D print formats, or null if no plants are selected
+const getSelectedPlantsForPrint = () => {
+    const plants = selection.selected.filter(object => object.userData.plant);
+    if (plants.length === 0) {
+        window.alert('Select the plants to export first');
+        return null;
+    }
+    const group = new THREE.Group();
+    group.add(...copyForExport(plants).copies);
+    group.updateMatrixWorld(true); // The exporters use the world matrices
+    return group;
+}
+
+// Exports the whole garden as USDZ, which AR Quick Look on iOS can open
+const exportUSDZ = async () => {
+    // USDZ only supports MeshStandardMaterial
+    const { copies, bakedMaterials } = copyForExport(getGardenObjects(), THREE.MeshStandardMaterial);
+    const group = new THREE.Group();
+    group.add(...copies);
+    try {
+        const result = await usdzExporter.parseAsync(group);
+        saveFile(createDataUrl(result, 'model/vnd.usdz+zip'), 'garden.usdz');
+    } finally {
+        disposeBakedMaterials(bakedMaterials);
+    }
+}
+
+// Hides the outlines of the hovered and selected objects for pictures and recordings, returns a function that shows them again
+const hideHelpers = () => {
+    const helpers = [selection.helpers, placementEditor.helper];
+    const helpersVisible = helpers.map(helper => helper.visible);
+    helpers.forEach(helper => helper.visible = false);
+    return () => helpers.forEach((helper, i) => helper.visible = helpersVisible[i]);
+}
+
+// Saves an image of the current view with the size and type chosen in the screenshot dialog
+const saveScreenshot = async () => {
+    const [width, height] = screenshotSizeList.value === 'view' ?
+        [container.clientWidth * window.devicePixelRatio, container.clientHeight * window.devicePixelRatio] :
+        screenshotSizeList.value.split('x').map(Number);
+    const type = screenshotFormatList.value;
+    const showHelpers = hideHelpers();
+    let capture;
+    try {
+        // the scene is drawn before this returns, only the encoding is left to wait for
+        capture = captureScreenshot(renderer, scene, camera, {
+            width: Math.round(width),
+            height: Math.round(height),
+            type: type,
+            quality: IMAGE_QUALITY,
+            hideBackground: screenshotHideBackgroundInput.checked
+        });
+    } finally {
+        showHelpers();
+    }
+    const blob = await capture;
+    saveFile(createDataUrl(blob, type), `scene.${IMAGE_EXTENSIONS[type]}`);
+}
+
+// Records the camera turning once around the target, the animation loop is stopped as the recorder draws the frames
+const onRecordTurntableClick = async () => {
+    const duration = parseFloat(turntableDurationInput.value);
+    if (!(duration > 0)) {
+        window.alert('Enter the turntable duration in seconds');
+        return;
+    }
+    const format = turntableFormatList.value;
+    renderer.setAnimationLoop(null);
+    controls.enabled = false;
+    recordTurntableButton.disabled = true;
+    const showHelpers = hideHelpers();
+    try {
+        const { blob, extension, format: recordedFormat } = await recordTurntable(renderer, scene, camera, controls.target, {
+            duration: duration,
+            frameRate: parseInt(turntableFrameRateList.value),
+            format: format,
+            onProgress: (frame, frameCount) => recordTurntableButton.innerText = `Recording ${frame} / ${frameCount}`
+        });
+        saveFile(createDataUrl(blob, blob.type), `turntable.${extension}`);
+        if (recordedFormat !== format) {
+            window.alert('The scene rendered too slowly to keep the video frame rate, PNG frames were saved instead');
+        }
+    } catch (e) {
+        console.log(e);
+        window.alert(`Could not record turntable: ${e.message}`);
+    } finally {
+        showHelpers();
+        recordTurntableButton.innerText = 'Record Turntable';
+        recordTurntableButton.disabled = false;
+        controls.enabled = true;
+        renderer.setAnimationLoop(animate);
+    }
+}
+
+const openScreenshotDialog = () => {
+    screenshotDialog.returnValue = ''; // Closing with escape keeps the last value
+    screenshotDialog.showModal();
+}
+
+const onScreenshotDialogClose = () => {
+    if (screenshotDialog.returnValue === 'save') onDownloadButtonClick('image');
+}
+
+const openExportDialog = () => {
+    exportDialog.returnValue = ''; // Closing with escape keeps the last value
+    exportDialog.showModal();
+}
+
+const onExportDialogClose = () => {
+    if (exportDialog.returnValue === 'export') onDownloadButtonClick('gltf');
+}
+
 const onDownloadButtonClick = (fileType) => {
     switch (fileType) {
         case 'gltf':
-            gltfExporter.parse(
-                scene,
-                result => {
-                    if (result instanceof ArrayBuffer) {
-                        saveFile(createDataUrl(result, 'application/octet-stream'), 'scene.glb');
-                    } else {
-                        const output = JSON.stringify(result, null, 1);
-                        saveFile(createDataUrl(output, 'text/plain'), 'scene.gltf');
-                    }
-                },
-                error => console.log('An error happened while saving the scene')
-            );
+            exportGLTF().catch(error => console.log('An error happened while saving the scene', error));
             break;
         case 'obj':
-            const objData = objExporter.parse(scene);
+            const objData = withoutInstancing(() => objExporter.parse(scene));
             saveFile(createDataUrl(objData, 'text/plain'), 'scene.obj');
             break;
-        case 'jpg':
-            try {
-                const strMime = "image/jpeg";
-                const strDownloadMime = "image/octet-stream";
-                const imgData = renderer.domElement.toDataURL(strMime);
-                saveFile(imgData.replace(strMime, strDownloadMime), "scene.jpg");
-            } catch (e) {
+        case 'stl': {
+            const plants = getSelectedPlantsForPrint();
+            if (!plants) return;
+            const stlData = stlExporter.parse(plants, { binary: true });
+            saveFile(createDataUrl(stlData, 'model/stl'), 'plants.stl');
+            break;
+        }
+        case 'ply': {
+            const plants = getSelectedPlantsForPrint();
+            if (!plants) return;
+            const plyData = plyExporter.parse(plants, undefined, { binary: true });
+            saveFile(createDataUrl(plyData, 'application/octet-stream'), 'plants.ply');
+            break;
+        }
+        case 'usdz':
+            exportUSDZ().catch(error => console.log('An error happened while saving the scene', error));
+            break;
+        case 'image':
+            saveScreenshot().catch(e => {
                 console.log(e);
-                return;
-            }
+                window.alert(`Could not save image: ${e.message}`);
+            });
             break;
         default:
             break;
@@ -361,9 +1114,62 @@ window.addEventListener('resize', onWindowResize);
 window.addEventListener('load', updatePointer);
 container.addEventListener('mousemove', onMouseMove);
 container.addEventListener('mouseout', onMouseOut);
+container.addEventListener('pointerdown', onPointerDown);
 container.addEventListener('click', onClick);
-downloadGLTFButton.addEventListener('click', () => onDownloadButtonClick('gltf'));
+container.addEventListener('dblclick', onDoubleClick);
+container.addEventListener('dragover', onDragOver);
+container.addEventListener('drop', onDrop);
+downloadGLTFButton.addEventListener('click', openExportDialog);
+exportDialog.addEventListener('close', onExportDialogClose);
 downloadOBJButton.addEventListener('click', () => onDownloadButtonClick('obj'));
-imageDownloadButton.addEventListener('click', () => onDownloadButtonClick('jpg'));
+downloadSTLButton.addEventListener('click', () => onDownloadButtonClick('stl'));
+downloadPLYButton.addEventListener('click', () => onDownloadButtonClick('ply'));
+downloadUSDZButton.addEventListener('click', () => onDownloadButtonClick('usdz'));
+imageDownloadButton.addEventListener('click', openScreenshotDialog);
+screenshotDialog.addEventListener('close', onScreenshotDialogClose);
+planViewButton.addEventListener('click', togglePlanView);
+resetViewButton.addEventListener('click', resetView);
+autoRotateButton.addEventListener('click', toggleAutoRotate);
+sunDateInput.addEventListener('input', onSunSettingsChange);
+sunTimeInput.addEventListener('input', onSunSettingsChange);
+fillLightInput.addEventListener('change', onSunSettingsChange);
+environmentPresetList.addEventListener('change', onEnvironmentPresetSelect);
+environmentBlurInput.addEventListener('input', onEnvironmentSettingsChange);
+environmentIntensityInput.addEventListener('input', onEnvironmentSettingsChange);
+environmentRotationInput.addEventListener('input', onEnvironmentSettingsChange);
+recordTurntableButton.addEventListener('click', onRecordTurntableClick);
+bookmarkList.addEventListener('change', onBookmarkSelect);
+saveBookmarkButton.addEventListener('click', onSaveBookmarkClick);
+deleteBookmarkButton.addEventListener('click', onDeleteBookmarkClick);
+loadLayoutButton.addEventListener('click', () => layoutFileInput.click());
+layoutFileInput.addEventListener('change', onLayoutFileChange);
+exportLayoutButton.addEventListener('click', onExportLayoutClick);
+placementModeButton.addEventListener('click', togglePlacementMode);
+placementModelList.addEventListener('change', onPlacementModelSelect);
+rotatePlantButton.addEventListener('click', () => placementEditor.rotate());
+deletePlantButton.addEventListener('click', () => placementEditor.remove());
+paintModeButton.addEventListener('click', togglePaintMode);
+[paintBrushList, paintColorInput, paintHueInput, paintSaturationInput].forEach(input => input.addEventListener('input', onPaintSettingsChange));
+undoPaintButton.addEventListener('click', () => tilePainter.undo());
+redoPaintButton.addEventListener('click', () => tilePainter.redo());
+controls.addEventListener('change', onControlsChange);
+window.addEventListener('hashchange', onHashChange);
+
+refreshBookmarkList();
+setSunDateToToday();
+onSunSettingsChange();
+onPaintSettingsChange();
+updatePaintHistoryButtons();
+// The catalog is loaded before the layout so plants get their catalog names
+loadModelCatalog()
+    .catch(error => console.error('An error occurred while loading the model catalog:', error))
+    .then(() => loadLayout(DEFAULT_LAYOUT_URL))
+    .catch(error => {
+        console.error('An error occurred while loading the layout, using the fallback layout:', error);
+        return FALLBACK_LAYOUT;
+    })
+    .then(buildGarden);
+// Open at the view from a shared link
+applyHashView(location.hash, controls, setPlanView);
 
 console.log(scene.children);
\ No newline at end of file
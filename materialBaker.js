@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+// Bakes shader materials into textures so objects can be exported to formats that only know standard materials
+// The shader is rendered flat across the UV square, which matches materials that colour a mesh from its UVs,
+// like the tile shader. The bake has no lights, so lit shaders should show their own colour without any,
+// as the tile shader does. Baked materials are unlit by default, formats that only support MeshStandardMaterial,
+// like USDZ, can ask for that instead
+
+// Width and height of the baked textures in pixels
+const BAKE_SIZE = 512;
+
+// Full screen quad the shader is rendered onto, the camera looks at it down the z axis
+const bakeScene = new THREE.Scene();
+const bakeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const bakeQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+bakeQuad.position.z = -0.5;
+bakeScene.add(bakeQuad);
+
+// Materials with the same shader and uniform values look the same, so they can share one bake
+const getMaterialKey = (material) => {
+    const values = Object.entries(material.uniforms).map(([name, uniform]) => {
+        const value = uniform.value;
+        if (value && value.isTexture) return `${name}=${value.uuid}`;
+        if (value && value.isColor) return `${name}=${value.getHexString()}`;
+        return `${name}=${value}`;
+    });
+    return [material.vertexShader, material.fragmentShader, ...values].join('\n');
+}
+
+// Renders a shader material to a texture and returns a material of the given type showing it
+const bakeMaterial = (renderer, material, MaterialType, size = BAKE_SIZE) => {
+    const renderTarget = new THREE.WebGLRenderTarget(size, size);
+    const pixels = new Uint8Array(size * size * 4);
+    const previousRenderTarget = renderer.getRenderTarget();
+    bakeQuad.material = material;
+    renderer.setRenderTarget(renderTarget);
+    renderer.render(bakeScene, bakeCamera);
+    renderer.readRenderTargetPixels(renderTarget, 0, 0, size, size, pixels);
+    renderer.setRenderTarget(previousRenderTarget);
+    renderTarget.dispose();
+
+    // a canvas rather than a data texture, as not every exporter can write data textures
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer), size, size), 0, 0);
+
+    // the shader output goes to the screen unchanged, so the pixels are already sRGB
+    // rows are read from the bottom up, the same way round as UVs, so the texture isn't flipped
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = false;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const baked = new MaterialType({ map: texture, side: material.side });
+    baked.name = material.name || 'baked';
+    return baked;
+}
+
+// Replaces the shader materials of the objects and their descendants with baked materials
+// Only pass copies of the objects in the scene, returns the baked materials so they can be disposed after exporting
+const bakeShaderMaterials = (renderer, objects, MaterialType = THREE.MeshBasicMaterial) => {
+    const baked = new Map();
+    objects.forEach(object => object.traverse(child => {
+        if (!child.material || !child.material.isShaderMaterial) return;
+        const key = getMaterialKey(child.material);
+        if (!baked.has(key)) baked.set(key, bakeMaterial(renderer, child.material, MaterialType));
+        child.material = baked.get(key);
+    }));
+    return [...baked.values()];
+}
+
+export { bakeShaderMaterials };
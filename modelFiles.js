@@ -0,0 +1,47 @@
+import * as THREE from 'three';
+import { MODEL_EXTENSIONS, isModelFile, loadModelFile } from './modelLoaders.js';
+
+// Reads a model from files the user dropped or picked, the files are parsed in the browser
+// A .gltf or .obj file can be dropped together with the .bin, .mtl and texture files it refers to, they are matched by file name
+
+// Loading manager that gives the loaders the dropped files in place of urls on the server
+const createFileManager = (urls) => {
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier(url => {
+        if (/^(data|blob):/.test(url)) return url;
+        // side files are referred to relative to the model, e.g. 'textures/leaf.png'
+        const filename = decodeURIComponent(url.split('/').pop());
+        return urls.get(filename) ?? url;
+    });
+    return manager;
+}
+
+// Loads the first model in a list of files, returns a promise for { model, file } where model is an Object3D
+const loadModelFiles = async (files) => {
+    const file = files.find(file => isModelFile(file.name));
+    if (!file) throw new Error(`No model file found, supported types are ${MODEL_EXTENSIONS.map(type => '.' + type).join(', ')}`);
+
+    const urls = new Map(files.map(file => [file.name, URL.createObjectURL(file)]));
+    const revokeURLs = () => urls.forEach(url => URL.revokeObjectURL(url));
+    const manager = createFileManager(urls);
+    // Textures of OBJ materials and FBX models are still loading when the model is returned,
+    // so the urls are kept until the manager has finished everything it started
+    let loading = false;
+    let modelLoaded = false;
+    manager.onStart = () => loading = true;
+    manager.onLoad = () => {
+        loading = false;
+        if (modelLoaded) revokeURLs();
+    };
+    try {
+        const model = await loadModelFile(file.name, manager);
+        modelLoaded = true;
+        if (!loading) revokeURLs();
+        return { model: model, file: file };
+    } catch (error) {
+        revokeURLs();
+        throw error;
+    }
+}
+
+export { loadModelFiles };
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+
+// Loads models of any supported type, the loader is picked by the file extension
+// Every type is returned as an Object3D, glTF scenes without their animations and cameras,
+// and STL and PLY geometry wrapped in a mesh as those files only hold geometry
+
+// Draco decoder files, from the same three.js version as the import map
+const DRACO_DECODER_PATH = 'https://cdn.jsdelivr.net/npm/three@v0.167.1/examples/jsm/libs/draco/gltf/';
+
+// Material for file types that don't have materials
+const GEOMETRY_COLOR = 0xcccccc;
+
+// one decoder for all glTF loaders, it keeps its web workers between models
+const dracoLoader = new DRACOLoader();
+dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+
+const getExtension = (url) => url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+const loadGLTF = async (url, manager) => {
+    const loader = new GLTFLoader(manager);
+    loader.setDRACOLoader(dracoLoader);
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    const gltf = await loader.loadAsync(url);
+    return gltf.scene;
+}
+
+// Loads the material libraries named in the OBJ file from next to it, the model is loaded without them if they are missing
+const loadOBJ = async (url, manager) => {
+    const path = THREE.LoaderUtils.extractUrlBase(url);
+    const text = await new THREE.FileLoader(manager).loadAsync(url);
+    const loader = new OBJLoader(manager);
+    const libraries = [...text.matchAll(/^mtllib\s+(.+)$/gm)].map(match => match[1].trim());
+    const creators = [];
+    for (const library of libraries) {
+        try {
+            const materials = await new MTLLoader(manager).setPath(path).loadAsync(library);
+            materials.preload();
+            creators.push(materials);
+        } catch (error) {
+            console.warn(`Could not load the material library ${library}, using default materials:`, error);
+        }
+    }
+    if (creators.length > 0) {
+        // OBJLoader takes one material creator, this one finds each material in the library that defines it
+        loader.setMaterials({
+            create: (name) => (creators.find(materials => name in materials.materialsInfo) ?? creators[0]).create(name)
+        });
+    }
+    return loader.parse(text);
+}
+
+const loadFBX = (url, manager) => new FBXLoader(manager).loadAsync(url);
+
+// Geometry only formats, the mesh uses the vertex colours when the file has them
+const createGeometryLoader = (Loader) => async (url, manager) => {
+    const geometry = await new Loader(manager).loadAsync(url);
+    if (!geometry.hasAttribute('normal')) geometry.computeVertexNormals();
+    const material = new THREE.MeshStandardMaterial({ color: GEOMETRY_COLOR, vertexColors: geometry.hasAttribute('color') });
+    return new THREE.Mesh(geometry, material);
+}
+
+const LOADERS = {
+    glb: loadGLTF,
+    gltf: loadGLTF,
+    obj: loadOBJ,
+    fbx: loadFBX,
+    stl: createGeometryLoader(STLLoader),
+    ply: createGeometryLoader(PLYLoader)
+};
+
+// File extensions that can be loaded, without the dot
+const MODEL_EXTENSIONS = Object.keys(LOADERS);
+
+const isModelFile = (url) => getExtension(url) in LOADERS;
+
+// Loads the model at url with the loader for its file extension, returns a promise for an Object3D
+const loadModelFile = async (url, manager = THREE.DefaultLoadingManager) => {
+    const load = LOADERS[getExtension(url)];
+    if (!load) throw new Error(`Unsupported model type .${getExtension(url)}, supported types are ${MODEL_EXTENSIONS.map(type => '.' + type).join(', ')}`);
+    return load(url, manager);
+}
+
+export { MODEL_EXTENSIONS, isModelFile, loadModelFile };
@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+
+// Properties panel listing the transform, triangle count and materials of the selected objects
+// Transform values can be edited, with several objects selected an edit applies to all of them
+
+const AXES = ['x', 'y', 'z'];
+
+// Transform fields, rotation is shown in degrees
+const FIELDS = [
+    { label: 'Position', property: 'position', toDisplay: value => value, fromDisplay: value => value },
+    { label: 'Rotation', property: 'rotation', toDisplay: THREE.MathUtils.radToDeg, fromDisplay: THREE.MathUtils.degToRad },
+    { label: 'Scale', property: 'scale', toDisplay: value => value, fromDisplay: value => value }
+];
+
+// Decimal places shown in the transform inputs
+const PRECISION = 3;
+
+// Counts the triangles in the meshes of an object, instanced meshes count every instance
+const countTriangles = (object) => {
+    let triangles = 0;
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        const geometry = child.geometry;
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        triangles += Math.floor(count / 3) * (child.isInstancedMesh ? child.count : 1);
+    });
+    return triangles;
+}
+
+// Returns the names of the materials used by an object, unnamed materials are listed by type
+const getMaterialNames = (object) => {
+    const names = new Set();
+    object.traverse(child => {
+        if (!child.material) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => names.add(material.name || material.type));
+    });
+    return [...names];
+}
+
+const createRow = (label, ...cells) => {
+    const row = document.createElement('tr');
+    const header = document.createElement('th');
+    header.innerText = label;
+    row.append(header, ...cells.map(content => {
+        const cell = document.createElement('td');
+        cell.append(content);
+        return cell;
+    }));
+    return row;
+}
+
+// Input for one axis of a transform field, left blank when the selected objects have different values
+const createAxisInput = (objects, field, axis, onEdit) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    const values = objects.map(object => field.toDisplay(object[field.property][axis]));
+    if (values.every(value => Math.abs(value - values[0]) < Math.pow(10, -PRECISION))) {
+        input.value = Number(values[0].toFixed(PRECISION));
+    }
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!isFinite(value)) return;
+        objects.forEach(object => object[field.property][axis] = field.fromDisplay(value));
+        onEdit();
+    });
+    return input;
+}
+
+// Fills the panel with the properties of the objects, onEdit is called after a transform value is changed
+// getName returns the name shown for a single selected object
+const updatePropertiesPanel = (element, objects, onEdit, getName = object => object.name || object.type) => {
+    if (objects.length === 0) {
+        element.replaceChildren();
+        return;
+    }
+
+    const table = document.createElement('table');
+    const name = objects.length === 1 ? getName(objects[0]) : `${objects.length} objects`;
+    table.append(createRow('Selected', name));
+    FIELDS.forEach(field => {
+        table.append(createRow(field.label, ...AXES.map(axis => createAxisInput(objects, field, axis, onEdit))));
+    });
+    const triangles = objects.reduce((total, object) => total + countTriangles(object), 0);
+    table.append(createRow('Triangles', triangles.toLocaleString()));
+    const materials = new Set(objects.flatMap(getMaterialNames));
+    table.append(createRow('Materials', [...materials].join(', ') || 'None'));
+    element.replaceChildren(table);
+}
+
+export { updatePropertiesPanel };
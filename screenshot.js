@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+
+// Renders the scene to an image of any size, independent of the size of the canvas on the page
+// The renderer's canvas is resized for the render and put back before the browser next draws the page,
+// so the resize is never seen and the renderer doesn't need preserveDrawingBuffer
+
+// Copy of the camera with its frustum stretched to the aspect ratio of the image
+const createScreenshotCamera = (camera, aspect) => {
+    const screenshotCamera = camera.clone();
+    if (screenshotCamera.isPerspectiveCamera) {
+        screenshotCamera.aspect = aspect;
+    } else {
+        const halfHeight = (screenshotCamera.top - screenshotCamera.bottom) / 2;
+        screenshotCamera.left = - halfHeight * aspect;
+        screenshotCamera.right = halfHeight * aspect;
+    }
+    screenshotCamera.updateProjectionMatrix();
+    return screenshotCamera;
+}
+
+// Returns a promise for the image as a Blob
+// type is an image mime type, e.g. 'image/png', 'image/jpeg' or 'image/webp', quality is from 0 to 1 for the lossy types
+// With hideBackground set the scene background isn't drawn, leaving the image transparent in types with an alpha channel
+const captureScreenshot = (renderer, scene, camera, { width, height, type = 'image/png', quality, hideBackground = false }) => {
+    const gl = renderer.getContext();
+    const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const maxSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+    if (width > Math.min(maxWidth, maxSize) || height > Math.min(maxHeight, maxSize)) {
+        return Promise.reject(new Error(`${width} x ${height} is larger than this graphics card can render`));
+    }
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const clearAlpha = renderer.getClearAlpha();
+    const background = scene.background;
+
+    if (hideBackground) {
+        scene.background = null;
+        renderer.setClearAlpha(0);
+    }
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    renderer.render(scene, createScreenshotCamera(camera, width / height));
+
+    // copy the image straight away, the drawing buffer is cleared once the browser has shown it
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(renderer.domElement, 0, 0);
+
+    scene.background = background;
+    renderer.setClearAlpha(clearAlpha);
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(size.x, size.y, false);
+    // resizing cleared the canvas, draw the view again so the page doesn't flash
+    renderer.render(scene, camera);
+
+    return new Promise((resolve, reject) => canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new Error('The image could not be encoded')),
+        type,
+        quality
+    ));
+}
+
+export { captureScreenshot };
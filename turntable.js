@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { zipSync } from 'three/addons/libs/fflate.module.js';
+
+// Records the camera orbiting once around a target, as a WebM video or a zip of numbered PNG frames
+// Frames are rendered one at a time with the camera turned by the same step each time, so the orbit is smooth
+// however long a frame takes to render. The camera is put back where it was afterwards
+//
+// PNG frames are exact. A WebM video is timed by the browser as frames are added, so frames are spaced out
+// to the frame rate as they are drawn. If a frame takes too long to draw for that, the video would play back
+// unevenly, so the recording is stopped and PNG frames are recorded instead
+
+const FORMATS = {
+    webm: { type: 'video/webm', extension: 'webm' },
+    png: { type: 'application/zip', extension: 'zip' }
+};
+
+// How late a video frame can be drawn, as a fraction of the time between frames, before the video is given up
+const LATE_FRAME_TOLERANCE = 0.5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const canvasToBlob = (canvas, type) => new Promise((resolve, reject) => canvas.toBlob(
+    blob => blob ? resolve(blob) : reject(new Error('The frame could not be encoded')),
+    type
+));
+
+// Calls renderFrame for each frame index with the camera turned one step further around the target's up axis
+const orbit = async (camera, target, frameCount, renderFrame) => {
+    const position = camera.position.clone();
+    const quaternion = camera.quaternion.clone();
+    const offset = new THREE.Vector3().subVectors(camera.position, target);
+    const up = camera.up.clone().normalize();
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            camera.position.copy(offset).applyAxisAngle(up, 2 * Math.PI * i / frameCount).add(target);
+            camera.lookAt(target);
+            await renderFrame(i);
+        }
+    } finally {
+        camera.position.copy(position);
+        camera.quaternion.copy(quaternion);
+    }
+}
+
+// Returns a promise for the video, or null if the scene renders too slowly to keep the frame rate
+const recordVideo = async (renderer, frameRate, renderFrames) => {
+    if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported(FORMATS.webm.type)) {
+        throw new Error('This browser can\'t record WebM video, record PNG frames instead');
+    }
+    // frames are only captured when requested, not whenever the canvas changes
+    const stream = renderer.domElement.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: FORMATS.webm.type });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', event => chunks.push(event.data));
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+    const frameTime = 1000 / frameRate;
+    const tooSlow = new Error('The scene renders too slowly for the frame rate');
+    recorder.start();
+    const start = performance.now();
+    try {
+        await renderFrames(
+            // wait until the frame is due, then draw and capture it straight away before the canvas is cleared
+            i => {
+                const delay = start + i * frameTime - performance.now();
+                if (delay < - LATE_FRAME_TOLERANCE * frameTime) throw tooSlow;
+                return wait(delay);
+            },
+            () => track.requestFrame()
+        );
+        await wait(frameTime); // show the last frame for as long as the others
+    } catch (error) {
+        if (error === tooSlow) return null;
+        throw error;
+    } finally {
+        recorder.stop();
+        await stopped;
+        track.stop();
+    }
+    return new Blob(chunks, { type: FORMATS.webm.type });
+}
+
+const recordFrames = async (renderer, frameCount, renderFrames) => {
+    const files = {};
+    const digits = Math.max(4, String(frameCount).length);
+    await renderFrames(() => { }, async (i) => {
+        // the canvas is copied when toBlob is called, before the next frame is drawn
+        const blob = await canvasToBlob(renderer.domElement, 'image/png');
+        files[`frame_${String(i + 1).padStart(digits, '0')}.png`] = new Uint8Array(await blob.arrayBuffer());
+    });
+    // PNG is already compressed
+    return new Blob([zipSync(files, { level: 0 })], { type: FORMATS.png.type });
+}
+
+// Returns a promise for { blob, extension, format }, format is 'webm' or 'png'
+// The returned format is 'png' if a WebM video was asked for but the scene rendered too slowly for it
+// duration is in seconds, onProgress is called with the frame number and frame count after each frame
+// Stop anything else drawing to the renderer or moving the camera while recording
+const recordTurntable = async (renderer, scene, camera, target, { duration = 10, frameRate = 30, format = 'webm', onProgress } = {}) => {
+    if (!(format in FORMATS)) throw new Error(`Unknown turntable format ${format}`);
+    const frameCount = Math.max(1, Math.round(duration * frameRate));
+    // draws each frame between the format's beforeFrame and afterFrame, which may return promises
+    const renderFrames = (beforeFrame, afterFrame) => orbit(camera, target, frameCount, async (i) => {
+        await beforeFrame(i);
+        renderer.render(scene, camera);
+        await afterFrame(i);
+        if (onProgress) onProgress(i + 1, frameCount);
+    });
+    let blob = format === 'webm' ? await recordVideo(renderer, frameRate, renderFrames) : null;
+    if (!blob) {
+        format = 'png';
+        blob = await recordFrames(renderer, frameCount, renderFrames);
+    }
+    return { blob: blob, extension: FORMATS[format].extension, format: format };
+}
+
+export { recordTurntable };